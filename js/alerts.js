@@ -0,0 +1,150 @@
+"use strict";
+
+/**
+ * alerts.js — Whether a notification may make noise (global sound/vibration
+ * switches, quiet hours, per-project/per-type mutes) and what it sounds and
+ * feels like (alert profiles: tone sequence or uploaded clip, vibration
+ * pattern). Silenced notifications are still shown and logged. Shared by the
+ * app (sound/vibrate) and the service worker (showNotification options),
+ * which reads the settings from the mirrored config.
+ */
+const Alerts = (() => {
+  const DEFAULTS = {
+    sound: true,
+    vibrate: true,
+    quietHours: { enabled: false, start: "22:00", end: "07:00" },
+    mutes: [], // [{id, project, type}] — empty field = any
+    breakThrough: true, // urgent requests alert anyway
+    profiles: [], // [{id, project, type, tone, audio, audioName, vibrate}] — first match wins
+  };
+
+  // Synthesized tones: [frequency Hz (0 = pause), seconds]
+  const TONES = {
+    beep: [[880, 0.3]],
+    double: [[880, 0.12], [0, 0.08], [880, 0.12]],
+    rising: [[660, 0.1], [880, 0.1], [1175, 0.18]],
+    falling: [[1175, 0.1], [880, 0.1], [660, 0.18]],
+    chime: [[1320, 0.08], [990, 0.25]],
+    alarm: [[988, 0.09], [0, 0.05], [988, 0.09], [0, 0.05], [988, 0.09], [0, 0.05], [988, 0.09]],
+    low: [[440, 0.35]],
+  };
+
+  // Built-in profile of each type, used when no configured profile matches
+  const TYPE_DEFAULTS = {
+    permission: { tone: "rising", vibrate: [300, 100, 300] },
+    approve: { tone: "beep", vibrate: [200, 100, 200] },
+    choice: { tone: "chime", vibrate: [100, 60, 100, 60, 100] },
+    decision: { tone: "falling", vibrate: [500] },
+    done: { tone: "low", vibrate: [100] },
+  };
+
+  const MAX_PATTERN = 20; // values in a vibration pattern
+  const MAX_PULSE_MS = 5000;
+  const REPEAT_GAP_MS = 400;
+
+  function _minutes(hhmm) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(hhmm || "");
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+  }
+
+  /** Is `now` inside the quiet window? Windows may wrap past midnight (22:00–07:00). */
+  function inQuietHours(quiet, now = new Date()) {
+    if (!quiet || !quiet.enabled) return false;
+    const start = _minutes(quiet.start);
+    const end = _minutes(quiet.end);
+    if (start == null || end == null || start === end) return false;
+    const t = now.getHours() * 60 + now.getMinutes();
+    return start < end ? t >= start && t < end : t >= start || t < end;
+  }
+
+  /** First mute rule matching the notification's project and type. */
+  function mutedBy(mutes, n) {
+    const project = Protocol.projectOf(n);
+    return (mutes || []).find((m) => (m.project || m.type)
+      && (!m.project || m.project === project)
+      && (!m.type || m.type === n.type)) || null;
+  }
+
+  /** Urgent: an actionable request with ntfy priority high/urgent, or a high-risk command. */
+  function isUrgent(n) {
+    if (!Protocol.ACTIONABLE.includes(n.type)) return false;
+    const command = Protocol.commandOf(n);
+    return (n.priority || 3) >= 4 || (!!command && command.risk === "high");
+  }
+
+  /**
+   * How to alert for a notification.
+   * @param {object} cfg — settings: {sound, vibrate, quietHours, mutes, breakThrough}
+   * @param {object} n — notification (type, project/title, priority, command)
+   * @returns {{sound: boolean, vibrate: boolean, silenced: "quiet"|"muted"|null}}
+   */
+  function decide(cfg, n, now = new Date()) {
+    const c = { ...DEFAULTS, ...cfg };
+    const reason = mutedBy(c.mutes, n) ? "muted" : inQuietHours(c.quietHours, now) ? "quiet" : null;
+    const silenced = reason && !(c.breakThrough && isUrgent(n)) ? reason : null;
+    return { sound: !!c.sound && !silenced, vibrate: !!c.vibrate && !silenced, silenced };
+  }
+
+  // ── Alert profiles ──
+
+  /**
+   * Parse a vibration pattern typed in Settings ("200, 100, 200").
+   * @returns {number[]|null} — [] when empty, null when invalid
+   */
+  function parsePattern(text) {
+    const parts = String(text || "").split(/[\s,]+/).filter(Boolean);
+    if (parts.length > MAX_PATTERN) return null;
+    const values = parts.map(Number);
+    return values.every((v) => Number.isInteger(v) && v >= 0 && v <= MAX_PULSE_MS) ? values : null;
+  }
+
+  /** A pattern played `times` times with a pause in between (reminder escalation). */
+  function repeatPattern(pattern, times) {
+    const out = [];
+    for (let i = 0; i < times; i++) {
+      // Entries alternate on/off: lengthen a trailing pause instead of vibrating through it
+      if (i && out.length % 2 === 0) out[out.length - 1] += REPEAT_GAP_MS;
+      else if (i) out.push(REPEAT_GAP_MS);
+      out.push(...pattern);
+    }
+    return out;
+  }
+
+  /** Notes of a tone preset (unknown names fall back to the plain beep). */
+  function toneNotes(name) {
+    return TONES[name] || TONES.beep;
+  }
+
+  /**
+   * Sound and vibration for a notification: first configured profile whose
+   * project and type match (empty = any), completed from the type's built-in one.
+   * @returns {{tone: string, audio: string|null, vibrate: number[], profile: object|null}}
+   */
+  function profileFor(profiles, n) {
+    const project = Protocol.projectOf(n);
+    const match = (profiles || []).find((p) => (!p.project || p.project === project) && (!p.type || p.type === n.type)) || null;
+    const base = TYPE_DEFAULTS[n.type] || TYPE_DEFAULTS.decision;
+    return {
+      tone: match && TONES[match.tone] ? match.tone : base.tone,
+      audio: (match && match.audio) || null,
+      vibrate: match && match.vibrate && match.vibrate.length ? match.vibrate : base.vibrate,
+      profile: match,
+    };
+  }
+
+  /**
+   * Should an informational notification (done, decision) alert in the app?
+   * They're silent unless a configured profile for their type or project opts in.
+   */
+  function optedIn(profiles, n) {
+    if (Protocol.ACTIONABLE.includes(n.type)) return false;
+    const match = profileFor(profiles, n).profile;
+    return !!match && !!(match.type || match.project);
+  }
+
+  return {
+    DEFAULTS, TONES, TYPE_DEFAULTS,
+    inQuietHours, mutedBy, isUrgent, decide,
+    parsePattern, repeatPattern, toneNotes, profileFor, optedIn,
+  };
+})();
@@ -5,72 +5,311 @@
  * Connects Ntfy, UI rendering, navigation, settings, history.
  */
 const App = (() => {
-  const HISTORY_KEY = "claude_mobile_history";
   const SETTINGS_KEY = "claude_mobile_settings";
-  const MAX_HISTORY = 100;
-  const SEEN_KEY = "claude_mobile_seen";
+  const RECENT_LIMIT = 100; // dashboard window kept in memory (full history lives in Store)
+  const PAGE_SIZE = 50;     // History view page
 
   let notifications = [];
-  let seenIds = new Set();
+  let seenIds = new Set(); // IDs handled this session (fast path before Store.has)
+  const remoteAnswers = new Map(); // reqId (or message ID) → reply seen before its request arrived
+  const drafts = new Map(); // notification ID → unsent comment/reply text (survives re-renders)
+  const openDiffs = new Set(); // notification IDs whose diff is expanded
+  const REMOTE_ANSWERS_LIMIT = 200;
+  let historyFilters = {}; // {q, project, type, status, from, to} — mirrored in the URL hash
+  let statsDays = 30; // Stats view range, 0 = all time
+  let expiryTimer = null; // re-renders the dashboard when the next request deadline passes
+  const REMINDER_CHECK_MS = 30000;
+  let historyGen = 0; // bumped on every reset so stale page loads are dropped
+  let historyCursor = null;
+  let historyDone = false;
+  let historyLoading = false;
   let settings = {
-    topic: "vladimir-claude-x7k9m",
-    replyTopic: "vladimir-claude-reply-x7k9m",
+    server: "https://ntfy.sh",
+    token: "",
+    username: "",
+    password: "",
+    // One profile per machine/session source; all are subscribed at once.
+    // None on a fresh install: the pairing wizard sets them up.
+    profiles: [],
+    language: "", // "en" | "cs", "" = browser language
     vibrate: true,
     sound: true,
+    reminderMinutes: 5, // re-alert for unanswered requests every N minutes, 0 = off
+    quietHours: { enabled: false, start: "22:00", end: "07:00" }, // no sound/vibration in this window
+    mutes: [], // [{id, project, type}] — silenced projects/types
+    breakThrough: true, // urgent requests alert despite quiet hours and mutes
+    alertProfiles: [], // [{id, project, type, tone, audio, audioName, vibrate}] — sound/vibration per project/type (clips stored in IndexedDB)
+    retentionDays: 90, // 0 = keep forever
+    syncAnswers: true, // watch reply topics for answers given on other devices
+    highRiskConfirm: "hold", // "hold" | "slide" — gesture for approving high-risk commands
+    biometric: null, // WebAuthn credential ID — fingerprint/face check before high-risk approvals
+    rulesEnabled: false, // master switch for auto-response rules
+    rules: [], // [{id, name, enabled, type, project, category, maxRisk, pattern, action, choice, allowHighRisk}]
+    device: null, // {id, key} — signs replies; created on first run
+    knownDevices: [], // [{id, key}] — other devices whose answers (seen on reply topics) are trusted
   };
 
   // ── Init ──
   function init() {
     loadSettings();
-    loadHistory();
-    loadSeen();
+    loadAlertClips();
     setupNavigation();
+    setupHistory();
+    setupStats();
+    setupDiagnostics();
     setupEventDelegation();
     setupSettings();
+    setupPairing();
     registerServiceWorker();
-    connectNtfy();
+    syncConfig();
+    loadHistory().then(() => {
+      applyHash();
+      connectNtfy();
+      flushOutbox();
+    });
+    window.addEventListener("online", flushOutbox);
+    setInterval(checkReminders, REMINDER_CHECK_MS);
     initPush();
   }
 
-  // ── ntfy.sh Connection ──
+  // ── ntfy Connection ──
+
+  /** Alert settings for Alerts.decide (also mirrored to the service worker). */
+  function alertConfig() {
+    return {
+      sound: settings.sound,
+      vibrate: settings.vibrate,
+      quietHours: settings.quietHours,
+      mutes: settings.mutes,
+      breakThrough: settings.breakThrough,
+      profiles: settings.alertProfiles,
+    };
+  }
+
+  /** Server URL + credentials as expected by Ntfy/Push. */
+  function serverConfig() {
+    return {
+      url: settings.server,
+      token: settings.token,
+      username: settings.username,
+      password: settings.password,
+    };
+  }
+
+  /** Machine keys by request topic — profiles without one aren't verified. */
+  function profileMachineKeys() {
+    const keys = {};
+    for (const p of settings.profiles) {
+      if (!p.machineKey) continue;
+      for (const topic of Topics.topicsOf(p)) keys[topic] = p.machineKey;
+    }
+    return keys;
+  }
+
+  /** Topics of all profiles (subscribed together, registered for push). */
+  function profileTopics() {
+    return settings.profiles.flatMap((p) => Topics.topicsOf(p));
+  }
+
+  /** Reply topics watched for answers from other devices (needs read access). */
+  function profileReplyTopics() {
+    return settings.syncAnswers ? settings.profiles.flatMap((p) => Topics.replyTopicsOf(p)) : [];
+  }
+
+  /** Profile a message arrived on (null if the profile was removed since). */
+  function profileForTopic(topic) {
+    return settings.profiles.find((p) => Topics.matches(p, topic)) || null;
+  }
+
+  /** Profile whose reply topic a reply was seen on. */
+  function profileForReplyTopic(topic) {
+    return settings.profiles.find((p) => Topics.replyTopicsOf(p).includes(topic)) || null;
+  }
+
+  /**
+   * Key that should have signed a reply on `topic`: this or another known device,
+   * else the profile's machine key (the hook reporting an answer from the terminal).
+   */
+  function replyKeys(topic) {
+    const profile = profileForReplyTopic(topic);
+    return (deviceId) => {
+      if (settings.device && deviceId === settings.device.id) return settings.device.key;
+      const known = settings.knownDevices.find((d) => d.id === deviceId);
+      if (known) return known.key;
+      return (profile && profile.machineKey) || null;
+    };
+  }
+
+  function profileById(id) {
+    return settings.profiles.find((p) => p.id === id) || null;
+  }
+
   function connectNtfy() {
+    UI.clearError();
+    Push.configure(serverConfig());
+    scheduleRotationEnd();
+    if (!profileTopics().length) {
+      UI.setStatus("disconnected");
+      return;
+    }
     Ntfy.connect({
-      topic: settings.topic,
-      replyTopic: settings.replyTopic,
+      server: serverConfig(),
+      topics: profileTopics(),
+      replyTopics: profileReplyTopics(),
+      secrets: Topics.secretsOf(settings.profiles),
+      machineKeys: profileMachineKeys(),
+      device: settings.device,
       onMessage: handleMessage,
+      onReply: handleReply,
       onStatus: UI.setStatus,
+      onError: (err) => UI.showError(err.message),
     });
   }
 
   // ── Message Handler ──
-  function handleMessage(notification) {
+  async function handleMessage(notification) {
     // Deduplicate (from history fetch + live stream)
     if (seenIds.has(notification.id)) return;
     seenIds.add(notification.id);
-    saveSeen();
 
-    // Check if this was already answered (from stored history)
-    const existing = notifications.find((n) => n.id === notification.id);
-    if (existing) return;
+    // Check if this was already received (stored history, or answered from a
+    // system notification while the app was closed)
+    if (await Store.has(notification.id).catch(() => false)) return;
+    Store.markSeen(notification.id).catch(() => {});
+
+    const profile = profileForTopic(notification.topic);
+    notification.profileId = profile ? profile.id : null;
 
     notifications.unshift(notification);
-    // Trim in-memory array to prevent unbounded growth
-    if (notifications.length > MAX_HISTORY) {
-      notifications.length = MAX_HISTORY;
+    trimRecent();
+
+    // Already answered elsewhere before this request reached us
+    const remoteKey = notification.reqId || notification.id;
+    const remote = remoteAnswers.get(remoteKey);
+    if (remote && isReplyable(notification) && matchesReply(notification, remote)) {
+      remoteAnswers.delete(remoteKey);
+      if (remote.verified) {
+        markAnsweredElsewhere(notification, remote);
+        renderDashboard();
+        saveNotification(notification);
+        return;
+      }
+      notification.unverifiedAnswer = unverifiedAnswer(remote);
     }
 
-    // Haptic feedback for actionable notifications
-    if (notification.type === "approve" || notification.type === "permission" || notification.type === "choice") {
-      if (settings.vibrate && navigator.vibrate) {
-        navigator.vibrate([200, 100, 200]);
+    // Routine requests answered by a rule — no alert needed
+    const auto = settings.rulesEnabled && isActionable(notification)
+      ? Rules.evaluate(settings.rules, notification)
+      : null;
+    if (auto) {
+      saveNotification(notification);
+      handleResponse(notification.id, auto.response, auto.rule);
+      return;
+    }
+
+    // Haptic feedback for actionable notifications, and for informational ones whose
+    // alert profile asks for it (unless quiet hours or a mute say otherwise)
+    if (isActionable(notification) || Alerts.optedIn(settings.alertProfiles, notification)) {
+      const alert = Alerts.decide(alertConfig(), notification);
+      const profile = Alerts.profileFor(settings.alertProfiles, notification);
+      if (alert.vibrate && navigator.vibrate) {
+        navigator.vibrate(profile.vibrate);
       }
-      if (settings.sound) {
-        playBeep();
+      if (alert.sound) {
+        playAlert(profile);
       }
     }
 
     renderDashboard();
-    saveHistory();
+    saveNotification(notification);
+  }
+
+  // ── Answers From Other Devices ──
+
+  /**
+   * Does a reply (seen on a profile's reply topic) answer this pending (or queued)
+   * request? Structured replies to decisions carry the message ID instead of a reqId.
+   */
+  function matchesReply(n, reply) {
+    if (n.answered && !n.queued) return false;
+    if (reply.reqId ? n.reqId !== reply.reqId : n.id !== reply.msgId) return false;
+    const profile = profileForReplyTopic(reply.topic);
+    return !profile || !n.profileId || n.profileId === profile.id;
+  }
+
+  function markAnsweredElsewhere(n, reply) {
+    n.answered = true;
+    n.answeredWith = reply.answeredWith;
+    n.answeredAt = reply.time;
+    n.answeredElsewhere = true;
+    n.answeredBy = reply.deviceId;
+    n.replyText = reply.text || null;
+    delete n.unverifiedAnswer;
+    if (n.queued) {
+      n.queued = false;
+      Outbox.remove(n.id).catch(() => {});
+    }
+  }
+
+  /** What a reply that can't be verified said — shown on the still pending card. */
+  function unverifiedAnswer(reply) {
+    return { answeredWith: reply.answeredWith, text: reply.text || null, deviceId: reply.deviceId, time: reply.time };
+  }
+
+  /**
+   * A reply seen on a reply topic: mark the matching request answered.
+   * Our own replies echo back here too and are skipped. Anyone who can publish
+   * on the topic could fake an answer, so only replies signed by a known device
+   * (or the profile's machine) clear the card; others are only flagged on it.
+   */
+  async function handleReply(reply) {
+    if (settings.device && reply.deviceId === settings.device.id) return;
+    reply.verified = (await Sign.verifyReply(reply.body, replyKeys(reply.topic))) === "valid";
+
+    let notification = notifications.find((n) => matchesReply(n, reply));
+    if (!notification) {
+      // Pending but outside the in-memory window? (pending ones are always loaded,
+      // so this only happens during startup)
+      const stored = await Store.pending().catch(() => []);
+      // The request may have arrived while the store was read
+      notification = notifications.find((n) => matchesReply(n, reply));
+      if (!notification) notification = stored.find((n) => matchesReply(n, reply));
+      if (notification && !notifications.includes(notification)) {
+        seenIds.add(notification.id);
+        notifications.unshift(notification);
+        trimRecent();
+      }
+    }
+    if (!notification) {
+      // Request not received yet (or already answered) — remember for a while
+      remoteAnswers.set(reply.reqId || reply.msgId, reply);
+      if (remoteAnswers.size > REMOTE_ANSWERS_LIMIT) {
+        remoteAnswers.delete(remoteAnswers.keys().next().value);
+      }
+      return;
+    }
+
+    if (reply.verified) {
+      markAnsweredElsewhere(notification, reply);
+      closeSystemNotification(notification.id);
+    } else {
+      notification.unverifiedAnswer = unverifiedAnswer(reply);
+    }
+    renderDashboard();
+    saveNotification(notification);
+  }
+
+  /**
+   * Request waiting for an answer (undecryptable ones can't be answered blindly,
+   * expired ones no longer have a hook waiting).
+   */
+  function isActionable(n) {
+    return (n.type === "approve" || n.type === "permission" || n.type === "choice") && !n.decryptFailed && !Protocol.isExpired(n);
+  }
+
+  /** Can be answered at all — actionable requests, or decisions (free-text reply). */
+  function isReplyable(n) {
+    return isActionable(n) || (n.type === "decision" && !n.decryptFailed && !Protocol.isExpired(n));
   }
 
   // ── Rendering ──
@@ -79,142 +318,1155 @@ const App = (() => {
     const pending = document.getElementById("pending-area");
 
     // Separate pending actions vs regular notifications
-    const pendingNotifs = notifications.filter(
-      (n) => !n.answered && (n.type === "approve" || n.type === "permission" || n.type === "choice")
-    );
-    const regularNotifs = notifications.filter(
-      (n) => n.answered || (n.type !== "approve" && n.type !== "permission" && n.type !== "choice")
-    );
+    const pendingNotifs = notifications.filter((n) => !n.answered && isActionable(n));
+    const regularNotifs = notifications.filter((n) => n.answered || !isActionable(n));
+
+    // Re-rendering replaces the reply fields — keep focus on the one being typed in
+    const focused = document.activeElement && document.activeElement.dataset
+      ? document.activeElement.dataset.draft
+      : null;
 
     // Render pending area
     pending.innerHTML = "";
     for (const n of pendingNotifs) {
-      pending.appendChild(UI.createCard(n));
+      pending.appendChild(UI.createCard(n, profileById(n.profileId), { compose: true, confirm: settings.highRiskConfirm }));
     }
 
     // Render feed
     feed.innerHTML = "";
     for (const n of regularNotifs) {
-      feed.appendChild(UI.createCard(n));
+      feed.appendChild(UI.createCard(n, profileById(n.profileId), { compose: true, confirm: settings.highRiskConfirm }));
+    }
+
+    for (const field of document.querySelectorAll("#view-dashboard [data-draft]")) {
+      field.value = drafts.get(field.dataset.draft) || "";
+      if (field.dataset.draft === focused) field.focus();
+    }
+    for (const diff of document.querySelectorAll("#view-dashboard [data-diff]")) {
+      diff.open = openDiffs.has(diff.dataset.diff);
+    }
+
+    clearTimeout(expiryTimer);
+    const deadlines = notifications
+      .filter((n) => !n.answered && n.expiresAt && !Protocol.isExpired(n))
+      .map((n) => new Date(n.expiresAt).getTime());
+    if (deadlines.length) {
+      const delay = Math.min(Math.min(...deadlines) - Date.now() + 500, 2 ** 31 - 1);
+      expiryTimer = setTimeout(renderDashboard, delay);
     }
 
     UI.updateEmptyState("feed", "empty-state", notifications.length > 0);
   }
 
+  /** Reset the History view and load its first page. */
   function renderHistory() {
+    document.getElementById("history-list").innerHTML = "";
+    historyGen++;
+    historyCursor = null;
+    historyDone = false;
+    historyLoading = false;
+    return loadHistoryPage();
+  }
+
+  /** Append the next page of stored history to the History view. */
+  async function loadHistoryPage() {
+    if (historyLoading || historyDone) return;
+    historyLoading = true;
+    const gen = historyGen;
     const list = document.getElementById("history-list");
-    list.innerHTML = "";
-    for (const n of notifications) {
-      const card = UI.createCard(n);
+    const filter = Store.makeFilter(historyFilters);
+    let page;
+    try {
+      page = await Store.page({ after: historyCursor, limit: PAGE_SIZE, filter });
+    } catch {
+      page = { items: [], next: null };
+      UI.showError(I18n.t("app.historyUnavailable"));
+    }
+    if (gen !== historyGen) return; // filters changed while loading
+
+    for (const n of page.items) {
+      const card = UI.createCard(n, profileById(n.profileId), { confirm: settings.highRiskConfirm });
       // Override time display to show full date
       const timeEl = card.querySelector(".card-time");
       if (timeEl) timeEl.textContent = UI.fmtFullTime(n.time);
       list.appendChild(card);
     }
-    UI.updateEmptyState("history-list", "history-empty", notifications.length > 0);
+    historyCursor = page.next;
+    historyDone = !page.next;
+    historyLoading = false;
+
+    document.getElementById("history-more").classList.toggle("hidden", historyDone);
+    document.querySelector("#history-empty p").textContent = I18n.t(filter ? "history.noMatch" : "history.empty");
+    UI.updateEmptyState("history-list", "history-empty", list.children.length > 0);
+  }
+
+  // ── Stats ──
+  async function renderStats() {
+    const content = document.getElementById("stats-content");
+    const since = statsDays ? new Date(Date.now() - statsDays * 24 * 3600 * 1000) : null;
+    let stats;
+    try {
+      stats = Stats.compute(await Store.all(), since);
+    } catch {
+      content.innerHTML = "";
+      UI.showError(I18n.t("app.historyUnavailable"));
+      return;
+    }
+    content.innerHTML = stats.overall.total ? UI.renderStats(stats) : "";
+    UI.updateEmptyState("stats-content", "stats-empty", stats.overall.total > 0);
+  }
+
+  function setupStats() {
+    document.getElementById("stats-range").addEventListener("click", (e) => {
+      const chip = e.target.closest(".chip");
+      if (!chip) return;
+      statsDays = parseInt(chip.dataset.days, 10);
+      document.querySelectorAll("#stats-range .chip").forEach((c) => c.classList.toggle("active", c === chip));
+      renderStats();
+    });
+  }
+
+  // ── Diagnostics ──
+  const DIAGNOSTICS_REFRESH_MS = 1000;
+  let diagnosticsTimer = null;
+
+  async function renderDiagnostics() {
+    const [push, lastPush] = await Promise.all([
+      Push.status(),
+      DB.get("kv", "lastPush").catch(() => null),
+    ]);
+    document.getElementById("diag-content").innerHTML = UI.renderDiagnostics(Ntfy.diagnostics(), push, lastPush);
+  }
+
+  function setupDiagnostics() {
+    document.getElementById("btn-open-diagnostics").addEventListener("click", () => {
+      location.hash = "diagnostics";
+    });
+    document.getElementById("btn-diag-test").addEventListener("click", async (e) => {
+      const btn = e.currentTarget;
+      const status = document.getElementById("diag-test-status");
+      const [topic] = profileTopics();
+      if (!topic) {
+        status.textContent = I18n.t("diag.noTopic");
+        return;
+      }
+      btn.disabled = true;
+      status.textContent = I18n.t("diag.testing");
+      try {
+        status.textContent = I18n.t("diag.roundTrip", { ms: await Ntfy.ping(topic) });
+      } catch (err) {
+        status.textContent = err.message;
+      } finally {
+        btn.disabled = false;
+        renderDiagnostics();
+      }
+    });
   }
 
   // ── Response Handling ──
-  async function handleResponse(notifId, responseBody) {
+
+  /**
+   * Send an answer for a pending request.
+   * With `text`, a structured reply goes out instead of the plain body: the
+   * choice (if any) plus the comment — decisions are answered with text only.
+   * @param {string|null} responseBody — e.g. "OK_123", "B_123"; null for decisions
+   * @param {object} [rule] — auto-response rule that chose the answer
+   * @param {string} [text] — free-text comment
+   */
+  async function handleResponse(notifId, responseBody, rule, text) {
     const notification = notifications.find((n) => n.id === notifId);
     if (!notification || notification.answered) return;
+    if (!responseBody && !text) return;
+
+    // Answer goes to the reply topic of the profile the request came from
+    const profile = profileById(notification.profileId) || profileForTopic(notification.topic);
+    const replyTopic = profile && Topics.replyTopicFor(profile, notification.topic);
+    if (!replyTopic) {
+      UI.showError(I18n.t("app.noReplyTopic"));
+      return;
+    }
 
     // Mark answered immediately to prevent double-tap race condition
     notification.answered = true;
     notification.answeredWith = responseBody;
+    notification.answeredAt = new Date();
+    notification.autoRule = rule ? rule.name : null;
+    notification.replyText = text || null;
+    drafts.delete(notifId);
     renderDashboard();
 
-    const ok = await Ntfy.respond(responseBody);
+    const reply = text ? structuredReply(notification, responseBody, text) : responseBody;
+    closeSystemNotification(notifId);
+    const ok = await Ntfy.respond(reply, replyTopic);
     if (!ok) {
       // Retry once
       await new Promise((r) => setTimeout(r, 1000));
-      const retryOk = await Ntfy.respond(responseBody);
+      const retryOk = await Ntfy.respond(reply, replyTopic);
       if (!retryOk) {
-        // Both attempts failed — revert answered state
-        notification.answered = false;
-        notification.answeredWith = null;
-        renderDashboard();
+        // Both attempts failed — keep the answer in the outbox for later
+        await queueReply(notification, reply, replyTopic);
         return;
       }
     }
 
-    saveHistory();
+    saveNotification(notification);
+  }
+
+  /** Approval confirmed by a gesture; with a registered authenticator, fingerprint/face first. */
+  async function approveHighRisk(notifId, responseBody) {
+    if (settings.biometric && !(await Confirm.verifyBiometric(settings.biometric))) {
+      UI.showError(I18n.t("app.biometricFailed"));
+      return;
+    }
+    handleResponse(notifId, responseBody);
+  }
+
+  /** Structured reply (see sign.js) — the choice letter comes from the button body. */
+  function structuredReply(notification, responseBody, text) {
+    const match = (responseBody || "").match(/^([A-Z]+)_/);
+    return {
+      v: 1,
+      id: notification.id,
+      reqId: notification.reqId,
+      choice: match ? match[1] : null,
+      text,
+    };
+  }
+
+  // ── Outbox ──
+
+  /** Store a reply that couldn't be sent; revert the card if even that fails. */
+  async function queueReply(notification, body, replyTopic) {
+    notification.queued = true;
+    try {
+      await Store.put(notification);
+      await Outbox.add({ id: notification.id, body, replyTopic });
+    } catch {
+      notification.answered = false;
+      notification.answeredWith = null;
+      notification.answeredAt = null;
+      notification.autoRule = null;
+      notification.queued = false;
+      renderDashboard();
+      return;
+    }
+    renderDashboard();
+    requestSync();
+  }
+
+  let outboxFlush = Promise.resolve();
+
+  /**
+   * Ask the service worker to send the outbox once online (Background Sync).
+   * @returns {Promise<boolean>} — false if Background Sync isn't available or
+   *   the registration failed (e.g. no active service worker yet)
+   */
+  function requestSync() {
+    if (!("serviceWorker" in navigator) || !("SyncManager" in window)) return Promise.resolve(false);
+    return navigator.serviceWorker.getRegistration()
+      .then((reg) => reg.sync.register(Outbox.SYNC_TAG))
+      .then(() => true, () => false);
+  }
+
+  /**
+   * Send queued replies (on startup and when back online). The browser may have
+   * given up on an earlier sync, so register it again; where that isn't possible
+   * the app sends them itself.
+   */
+  function flushOutbox() {
+    // One at a time: overlapping flushes would send the same reply twice
+    outboxFlush = outboxFlush.then(async () => {
+      try {
+        if (!(await Outbox.count()) || (await requestSync())) return;
+        await Outbox.flush((outcome, id) => refreshFromStore(id));
+      } catch { /* outbox unavailable — retried on the next start or reconnect */ }
+    });
+    return outboxFlush;
+  }
+
+  /** Reload a notification after the outbox (app or SW) changed it. */
+  async function refreshFromStore(id) {
+    const record = await Store.get(id).catch(() => null);
+    if (!record) return;
+    const notification = notifications.find((n) => n.id === id);
+    if (notification) {
+      Object.assign(notification, record);
+    } else {
+      seenIds.add(id);
+      notifications.unshift(record);
+      trimRecent();
+    }
+    renderDashboard();
   }
 
   // ── Event Delegation ──
   function setupEventDelegation() {
     document.addEventListener("click", (e) => {
+      if (e.target.closest("#error-banner")) {
+        UI.clearError();
+        return;
+      }
+      const copy = e.target.closest("[data-copy-code]");
+      if (copy) {
+        const code = copy.closest(".md-code").querySelector("code").textContent;
+        navigator.clipboard.writeText(code).then(() => {
+          copy.textContent = I18n.t("card.copied");
+          setTimeout(() => { copy.textContent = I18n.t("card.copy"); }, 1500);
+        }).catch(() => UI.showError(I18n.t("app.clipboard")));
+        return;
+      }
+      const compose = e.target.closest("[data-compose]");
+      if (compose) {
+        const notifId = compose.dataset.compose;
+        handleResponse(notifId, null, null, (drafts.get(notifId) || "").trim());
+        return;
+      }
       const btn = e.target.closest("[data-response]");
-      if (!btn) return;
+      // Hold/slide controls answer through Confirm, not on click
+      if (!btn || btn.dataset.confirm) return;
       const notifId = btn.dataset.notifId;
       const response = btn.dataset.response;
-      handleResponse(notifId, response);
+      // Choice cards carry an optional comment
+      handleResponse(notifId, response, null, (drafts.get(notifId) || "").trim());
     });
+    document.addEventListener("input", (e) => {
+      const field = e.target.closest("[data-draft]");
+      if (field) drafts.set(field.dataset.draft, field.value);
+    });
+    Confirm.setup(document, (el) => approveHighRisk(el.dataset.notifId, el.dataset.response));
+    // "toggle" doesn't bubble
+    document.addEventListener("toggle", (e) => {
+      const diff = e.target.closest && e.target.closest("[data-diff]");
+      if (!diff) return;
+      if (diff.open) openDiffs.add(diff.dataset.diff);
+      else openDiffs.delete(diff.dataset.diff);
+    }, true);
   }
 
   // ── Navigation ──
+  // The URL hash names the view ("#settings"); History adds its filters
+  // ("#history?project=NGPD&status=approved") so a filtered view can be bookmarked.
   function setupNavigation() {
-    const navBtns = document.querySelectorAll(".nav-btn");
-    navBtns.forEach((btn) => {
+    document.querySelectorAll(".nav-btn").forEach((btn) => {
       btn.addEventListener("click", () => {
         const view = btn.dataset.view;
-        // Update nav state
-        navBtns.forEach((b) => b.classList.remove("active"));
-        btn.classList.add("active");
-        // Switch views
-        document.querySelectorAll(".view").forEach((v) => v.classList.remove("active"));
-        document.getElementById("view-" + view).classList.add("active");
-        // Refresh view content
-        if (view === "history") renderHistory();
+        location.hash = view === "history" ? historyHash() : view;
+      });
+    });
+    window.addEventListener("hashchange", applyHash);
+  }
+
+  function showView(view) {
+    if (view !== "welcome") stopPairingScan();
+    // Don't leave the pairing code (credentials) on screen
+    if (view !== "settings") hidePairingCode();
+    // Update nav state
+    document.querySelectorAll(".nav-btn").forEach((b) => {
+      b.classList.toggle("active", b.dataset.view === view);
+    });
+    // Switch views
+    document.querySelectorAll(".view").forEach((v) => v.classList.remove("active"));
+    document.getElementById("view-" + view).classList.add("active");
+    // Refresh view content
+    if (view === "history") {
+      renderHistoryFilters();
+      renderHistory();
+    }
+    if (view === "stats") renderStats();
+    clearInterval(diagnosticsTimer);
+    if (view === "diagnostics") {
+      renderDiagnostics();
+      diagnosticsTimer = setInterval(renderDiagnostics, DIAGNOSTICS_REFRESH_MS);
+    }
+  }
+
+  function applyHash() {
+    const [view, query] = location.hash.slice(1).split("?");
+    // Pairing link (opened or scanned with the camera app): confirm first, never apply silently
+    if (view.startsWith(`${Pair.PARAM}=`)) {
+      const payload = Pair.parse(location.hash);
+      history.replaceState(null, "", location.pathname + location.search);
+      if (payload) {
+        showPairing(payload);
+        return;
+      }
+      UI.showError(I18n.t("pair.invalid"));
+    }
+    if (view === "history") historyFilters = parseHistoryFilters(query);
+    showView(document.getElementById("view-" + view) ? view : needsSetup() ? "welcome" : "dashboard");
+  }
+
+  // ── Pairing ──
+  let pendingPairing = null; // payload waiting for confirmation
+  let stopScan = null;
+  let wizardStep = "start";
+
+  /** Nothing to subscribe to yet (fresh install): start in the pairing wizard. */
+  function needsSetup() {
+    return !profileTopics().length;
+  }
+
+  function showWizardStep(step) {
+    stopPairingScan();
+    wizardStep = step;
+    document.querySelectorAll("#view-welcome .wizard-step").forEach((el) => {
+      el.classList.toggle("hidden", el.dataset.step !== step);
+    });
+    if (step === "scan") startPairingScan();
+  }
+
+  function showPairing(payload) {
+    pendingPairing = payload;
+    document.getElementById("pair-summary").innerHTML = UI.renderPairSummary(payload);
+    showView("welcome");
+    showWizardStep("confirm");
+  }
+
+  async function startPairingScan() {
+    const status = document.getElementById("pair-scan-status");
+    if (!(await Pair.scanSupported())) {
+      status.textContent = I18n.t("pair.scanUnsupported");
+      return;
+    }
+    status.textContent = I18n.t("pair.scanning");
+    try {
+      const stop = await Pair.scan(document.getElementById("pair-video"), (payload) => {
+        stopScan = null;
+        showPairing(payload);
+      });
+      // Left the scan step while the camera was starting
+      if (wizardStep === "scan") stopScan = stop;
+      else stop();
+    } catch (err) {
+      status.textContent = I18n.t("pair.cameraFailed", { error: err.message });
+    }
+  }
+
+  function stopPairingScan() {
+    if (stopScan) stopScan();
+    stopScan = null;
+  }
+
+  /** Take over server, credentials and profiles; profiles with a known topic are updated. */
+  function applyPairing(payload) {
+    settings.server = Ntfy.normalizeServer(payload.server);
+    settings.token = payload.token;
+    settings.username = payload.username;
+    settings.password = payload.password;
+    // The device that showed the code: its answers are trusted here
+    if (payload.device && (!settings.device || payload.device.id !== settings.device.id)) {
+      settings.knownDevices = [...settings.knownDevices.filter((d) => d.id !== payload.device.id), payload.device];
+      renderKnownDevicesForm();
+    }
+    for (const p of payload.profiles) {
+      const profile = { ...p, name: p.name || p.topic, machineKey: (p.machineKey || "").toLowerCase() };
+      const existing = settings.profiles.find((q) => q.topic === p.topic);
+      if (existing) Object.assign(existing, profile);
+      else settings.profiles.push({ ...newProfile(settings.profiles.length), ...profile });
+    }
+    saveSettings();
+    syncConfig();
+    renderServerForm();
+    renderProfileForm();
+    Ntfy.disconnect();
+    connectNtfy();
+    updatePushTopics();
+  }
+
+  function pairingLink() {
+    return Pair.link({ server: serverConfig(), profiles: settings.profiles, device: settings.device }, location.href);
+  }
+
+  function hidePairingCode() {
+    document.getElementById("pair-qr").classList.add("hidden");
+    document.getElementById("pair-qr-code").innerHTML = "";
+    document.getElementById("btn-pair-show").textContent = I18n.t("settings.pairShow");
+  }
+
+  function setupPairing() {
+    document.getElementById("view-welcome").addEventListener("click", (e) => {
+      const back = e.target.closest("[data-pair-step]");
+      if (back) showWizardStep(back.dataset.pairStep);
+    });
+    document.getElementById("btn-pair-scan").addEventListener("click", () => showWizardStep("scan"));
+    document.getElementById("btn-pair-paste").addEventListener("click", () => showWizardStep("paste"));
+    document.getElementById("btn-pair-manual").addEventListener("click", () => {
+      location.hash = "settings";
+    });
+    document.getElementById("btn-pair-read").addEventListener("click", () => {
+      const payload = Pair.parse(document.getElementById("pair-code").value);
+      if (!payload) {
+        UI.showError(I18n.t("pair.invalid"));
+        return;
+      }
+      showPairing(payload);
+    });
+    document.getElementById("btn-pair-apply").addEventListener("click", () => {
+      if (!pendingPairing) return;
+      applyPairing(pendingPairing);
+      pendingPairing = null;
+      document.getElementById("pair-code").value = "";
+      document.getElementById("pair-device-snippet").textContent = deviceSnippet();
+      showWizardStep("done");
+    });
+    document.getElementById("btn-pair-copy-device").addEventListener("click", (e) => {
+      copyFromButton(e.currentTarget, deviceSnippet(), I18n.t("app.clipboardKey"));
+    });
+    document.getElementById("btn-pair-finish").addEventListener("click", () => {
+      showWizardStep("start");
+      location.hash = "dashboard";
+    });
+
+    // Settings: show this device's pairing code, or scan another one
+    document.getElementById("btn-pair-show").addEventListener("click", (e) => {
+      if (!document.getElementById("pair-qr").classList.contains("hidden")) {
+        hidePairingCode();
+        return;
+      }
+      if (needsSetup()) {
+        UI.showError(I18n.t("settings.pairEmpty"));
+        return;
+      }
+      document.getElementById("pair-qr-code").innerHTML = QR.toSVG(pairingLink());
+      document.getElementById("pair-qr").classList.remove("hidden");
+      e.currentTarget.textContent = I18n.t("settings.pairHide");
+    });
+    document.getElementById("btn-pair-copy-link").addEventListener("click", (e) => {
+      copyFromButton(e.currentTarget, pairingLink(), I18n.t("app.clipboard"));
+    });
+    document.getElementById("btn-pair-open").addEventListener("click", () => {
+      showView("welcome");
+      showWizardStep("scan");
+      history.replaceState(null, "", "#welcome");
+    });
+  }
+
+  /** Copy to the clipboard; the button says "Copied" for a moment. */
+  function copyFromButton(btn, text, errorMessage) {
+    navigator.clipboard.writeText(text).then(() => {
+      btn.textContent = I18n.t("card.copied");
+      setTimeout(() => { btn.textContent = I18n.t(btn.dataset.i18n); }, 1500);
+    }).catch(() => UI.showError(errorMessage));
+  }
+
+  // ── History ──
+  const FILTER_KEYS = ["q", "project", "type", "status", "from", "to"];
+
+  function parseHistoryFilters(query) {
+    const params = new URLSearchParams(query || "");
+    const filters = {};
+    for (const key of FILTER_KEYS) {
+      if (params.get(key)) filters[key] = params.get(key);
+    }
+    return filters;
+  }
+
+  function historyHash() {
+    const params = new URLSearchParams();
+    for (const key of FILTER_KEYS) {
+      if (historyFilters[key]) params.set(key, historyFilters[key]);
+    }
+    const query = params.toString();
+    return query ? `history?${query}` : "history";
+  }
+
+  /** Change filters: update the hash (without a new history entry) and reload. */
+  function updateHistoryFilters(patch) {
+    historyFilters = { ...historyFilters, ...patch };
+    history.replaceState(null, "", "#" + historyHash());
+    renderHistoryFilters();
+    renderHistory();
+  }
+
+  /** Reflect historyFilters in the filter controls; refresh the project list. */
+  function renderHistoryFilters() {
+    const search = document.getElementById("history-search");
+    if (document.activeElement !== search) search.value = historyFilters.q || "";
+    document.querySelectorAll("#history-filters .chip-row").forEach((row) => {
+      const value = historyFilters[row.dataset.filter] || "";
+      row.querySelectorAll(".chip").forEach((chip) => {
+        chip.classList.toggle("active", chip.dataset.value === value);
       });
     });
+    document.getElementById("history-from").value = historyFilters.from || "";
+    document.getElementById("history-to").value = historyFilters.to || "";
+
+    const select = document.getElementById("history-project");
+    Store.projects().then((projects) => {
+      const current = historyFilters.project || "";
+      // Keep a bookmarked project selectable even if it has no records (yet)
+      if (current && !projects.includes(current)) projects.unshift(current);
+      select.innerHTML = `<option value="" data-i18n="history.allProjects">${I18n.t("history.allProjects")}</option>`;
+      for (const name of projects) {
+        const opt = document.createElement("option");
+        opt.value = name;
+        opt.textContent = name;
+        select.appendChild(opt);
+      }
+      select.value = current;
+    }).catch(() => {});
+  }
+
+  function setupHistory() {
+    const more = document.getElementById("history-more");
+    more.addEventListener("click", loadHistoryPage);
+    // Load the next page automatically when the button scrolls into view
+    if ("IntersectionObserver" in window) {
+      new IntersectionObserver((entries) => {
+        if (entries[0].isIntersecting) loadHistoryPage();
+      }).observe(more);
+    }
+
+    let searchTimer = null;
+    document.getElementById("history-search").addEventListener("input", (e) => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => updateHistoryFilters({ q: e.target.value.trim() }), 250);
+    });
+    document.getElementById("history-filters").addEventListener("click", (e) => {
+      const chip = e.target.closest(".chip");
+      if (!chip) return;
+      updateHistoryFilters({ [chip.closest(".chip-row").dataset.filter]: chip.dataset.value });
+    });
+    document.getElementById("history-project").addEventListener("change", (e) => {
+      updateHistoryFilters({ project: e.target.value });
+    });
+    document.getElementById("history-from").addEventListener("change", (e) => {
+      updateHistoryFilters({ from: e.target.value });
+    });
+    document.getElementById("history-to").addEventListener("change", (e) => {
+      updateHistoryFilters({ to: e.target.value });
+    });
+    document.getElementById("history-reset").addEventListener("click", () => {
+      historyFilters = {};
+      updateHistoryFilters({});
+    });
   }
 
   // ── Settings ──
   function setupSettings() {
     const btnSave = document.getElementById("btn-save-settings");
     const btnClear = document.getElementById("btn-clear-history");
+    const profileList = document.getElementById("profile-list");
+
+    document.getElementById("btn-add-profile").addEventListener("click", () => {
+      profileList.appendChild(UI.createProfileRow(newProfile()));
+    });
+
+    document.getElementById("btn-copy-device").addEventListener("click", (e) => {
+      copyFromButton(e.currentTarget, deviceSnippet(), I18n.t("app.clipboardKey"));
+    });
+
+    document.getElementById("btn-regen-device").addEventListener("click", () => {
+      if (!confirm(I18n.t("app.regenConfirm"))) return;
+      settings.device = Sign.createDevice();
+      saveSettings();
+      syncConfig();
+      renderDeviceForm();
+      Ntfy.disconnect();
+      connectNtfy();
+    });
+
+    profileList.addEventListener("click", (e) => {
+      const row = e.target.closest(".profile-row");
+      if (!row) return;
+      if (e.target.closest("[data-remove-profile]")) row.remove();
+      else if (e.target.closest("[data-generate-topics]")) {
+        const pair = Topics.generate();
+        row.querySelector('[data-field="topic"]').value = pair.topic;
+        row.querySelector('[data-field="replyTopic"]').value = pair.replyTopic;
+      } else if (e.target.closest("[data-rotate-topics]")) rotateProfile(row);
+      else if (e.target.closest("[data-end-rotation]")) endRotation(row);
+      else if (e.target.closest("[data-copy-env]")) {
+        const profile = profileById(row.dataset.profileId);
+        if (profile) copyFromButton(e.target.closest("[data-copy-env]"), Topics.envSnippet(profile), I18n.t("app.clipboard"));
+      }
+    });
+
+    setupBiometric();
+
+    const muteList = document.getElementById("mute-list");
+    document.getElementById("btn-add-mute").addEventListener("click", () => {
+      muteList.appendChild(UI.createMuteRow(newMute()));
+    });
+    muteList.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-remove-mute]");
+      if (btn) btn.closest(".mute-row").remove();
+    });
+
+    const alertList = document.getElementById("alert-profile-list");
+    document.getElementById("btn-add-alert-profile").addEventListener("click", () => {
+      alertList.appendChild(UI.createAlertProfileRow(newAlertProfile()));
+    });
+    alertList.addEventListener("click", (e) => {
+      const remove = e.target.closest("[data-remove-alert]");
+      if (remove) remove.closest(".alert-profile-row").remove();
+      const test = e.target.closest("[data-test-alert]");
+      if (test) testAlertProfile(test.closest(".alert-profile-row"));
+    });
+    alertList.addEventListener("change", (e) => {
+      if (e.target.matches("[data-alert-file]")) loadAlertClip(e.target);
+    });
+
+    const ruleList = document.getElementById("rule-list");
+    document.getElementById("btn-add-rule").addEventListener("click", () => {
+      ruleList.appendChild(UI.createRuleRow(newRule()));
+    });
+    ruleList.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-remove-rule]");
+      if (btn) btn.closest(".rule-row").remove();
+    });
 
-    btnSave.addEventListener("click", () => {
-      settings.topic = document.getElementById("setting-topic").value.trim();
-      settings.replyTopic = document.getElementById("setting-reply").value.trim();
+    btnSave.addEventListener("click", async () => {
+      const rules = readRuleForm();
+      const invalid = rules.map(Rules.validate).find(Boolean);
+      if (invalid) {
+        UI.showError(invalid);
+        return;
+      }
+      const alertProfiles = readAlertProfileForm();
+      if (!alertProfiles) return;
+      // A profile naming a clip that isn't stored would quietly fall back to a tone
+      if (!(await saveAlertClips(alertProfiles, settings.alertProfiles))) return;
+      settings.rules = rules;
+      settings.rulesEnabled = document.getElementById("setting-rules-enabled").checked;
+      settings.server = Ntfy.normalizeServer(document.getElementById("setting-server").value);
+      settings.token = document.getElementById("setting-token").value.trim();
+      settings.username = document.getElementById("setting-username").value.trim();
+      settings.password = document.getElementById("setting-password").value;
+      settings.profiles = readProfileForm();
       settings.vibrate = document.getElementById("setting-vibrate").checked;
       settings.sound = document.getElementById("setting-sound").checked;
+      settings.quietHours = {
+        enabled: document.getElementById("setting-quiet-enabled").checked,
+        start: document.getElementById("setting-quiet-start").value || "22:00",
+        end: document.getElementById("setting-quiet-end").value || "07:00",
+      };
+      settings.breakThrough = document.getElementById("setting-break-through").checked;
+      settings.mutes = readMuteForm();
+      settings.alertProfiles = alertProfiles;
+      settings.reminderMinutes = parseInt(document.getElementById("setting-reminders").value, 10) || 0;
+      settings.retentionDays = parseInt(document.getElementById("setting-retention").value, 10) || 0;
+      settings.syncAnswers = document.getElementById("setting-sync-answers").checked;
+      settings.knownDevices = readKnownDevicesForm();
+      settings.highRiskConfirm = document.getElementById("setting-confirm-mode").value;
+      const language = document.getElementById("setting-language").value;
+      const languageChanged = language !== settings.language;
+      settings.language = language;
       saveSettings();
+      applyRetention();
+      syncConfig();
+      if (languageChanged) applyLanguage();
       // Reconnect with new settings
       Ntfy.disconnect();
       connectNtfy();
-      // Update push subscription topics if active
-      Push.isSubscribed().then((subscribed) => {
-        if (subscribed) Push.updateTopics([settings.topic]).catch(() => {});
-      });
+      updatePushTopics();
+    });
+
+    document.getElementById("btn-export-json").addEventListener("click", () => exportHistory("json"));
+    document.getElementById("btn-export-csv").addEventListener("click", () => exportHistory("csv"));
+    const importInput = document.getElementById("import-file");
+    document.getElementById("btn-import").addEventListener("click", () => importInput.click());
+    importInput.addEventListener("change", () => {
+      const file = importInput.files[0];
+      importInput.value = "";
+      if (file) importHistory(file);
     });
 
-    btnClear.addEventListener("click", () => {
+    btnClear.addEventListener("click", async () => {
       notifications = [];
       seenIds.clear();
-      saveSeen();
-      saveHistory();
+      await Store.clear().catch(() => {});
       renderDashboard();
       renderHistory();
     });
   }
 
+  /** Fingerprint/face toggle: registers a platform credential right away. */
+  function setupBiometric() {
+    const toggle = document.getElementById("setting-biometric");
+    const status = document.getElementById("biometric-status");
+    Confirm.biometricAvailable().then((available) => {
+      if (!available && !settings.biometric) {
+        toggle.disabled = true;
+        status.textContent = I18n.t("app.biometricUnavailable");
+      }
+    });
+    toggle.addEventListener("change", async () => {
+      if (!toggle.checked) {
+        settings.biometric = null;
+        saveSettings();
+        status.textContent = "";
+        return;
+      }
+      try {
+        settings.biometric = await Confirm.registerBiometric();
+        saveSettings();
+        status.textContent = I18n.t("app.biometricEnabled");
+      } catch (err) {
+        toggle.checked = false;
+        status.textContent = "";
+        UI.showError(I18n.t("app.biometricSetupFailed", { error: err.message }));
+      }
+    });
+  }
+
+  const PROFILE_COLORS = ["#4466ff", "#00f0ff", "#ff00aa", "#ffaa00", "#00ff88"];
+
+  /** Empty profile; its color follows the `n` profiles before it (default: rows in the form). */
+  function newProfile(n = document.querySelectorAll("#profile-list .profile-row").length) {
+    return {
+      id: "p" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name: "",
+      topic: "",
+      replyTopic: "",
+      secret: "",
+      machineKey: "",
+      color: PROFILE_COLORS[n % PROFILE_COLORS.length],
+    };
+  }
+
+  /** Collect profiles from the settings form, dropping rows without a topic. */
+  function readProfileForm() {
+    const rows = document.querySelectorAll("#profile-list .profile-row");
+    const profiles = [];
+    for (const row of rows) {
+      const field = (name) => row.querySelector(`[data-field="${name}"]`).value.trim();
+      const topic = field("topic");
+      if (!topic) continue;
+      const profile = {
+        id: row.dataset.profileId,
+        name: field("name") || topic,
+        topic,
+        replyTopic: field("replyTopic"),
+        secret: field("secret"),
+        machineKey: field("machineKey").toLowerCase(),
+        color: field("color"),
+      };
+      // Keep a rotation in progress
+      const saved = profileById(profile.id);
+      if (saved && saved.previous) profile.previous = saved.previous;
+      profiles.push(profile);
+    }
+    return profiles;
+  }
+
+  // ── Topic Rotation ──
+  let rotationTimer = null;
+
+  /** Move a saved profile to new random topics; the old ones stay subscribed for the grace period. */
+  function rotateProfile(row) {
+    const profile = profileById(row.dataset.profileId);
+    if (!profile || !profile.topic) {
+      UI.showError(I18n.t("app.rotateUnsaved"));
+      return;
+    }
+    if (!confirm(I18n.t("app.rotateConfirm", { name: profile.name }))) return;
+    Object.assign(profile, Topics.rotate(profile));
+    applyProfileChange(row, profile);
+  }
+
+  /** Unsubscribe from a profile's old topics before the grace period is over. */
+  function endRotation(row) {
+    const profile = profileById(row.dataset.profileId);
+    if (!profile) return;
+    delete profile.previous;
+    applyProfileChange(row, profile);
+  }
+
+  /** Save a profile changed outside the form, redraw its row and resubscribe. */
+  function applyProfileChange(row, profile) {
+    saveSettings();
+    syncConfig();
+    row.replaceWith(UI.createProfileRow(profile));
+    Ntfy.disconnect();
+    connectNtfy();
+    updatePushTopics();
+  }
+
+  /** Resubscribe without the old topics once the next grace period ends. */
+  function scheduleRotationEnd() {
+    clearTimeout(rotationTimer);
+    const end = Topics.nextExpiry(settings.profiles);
+    if (end == null) return;
+    rotationTimer = setTimeout(() => {
+      if (!Topics.expire(settings.profiles)) return;
+      saveSettings();
+      syncConfig();
+      renderProfileForm();
+      Ntfy.disconnect();
+      connectNtfy();
+      updatePushTopics();
+    }, Math.max(0, end - Date.now()) + 1000);
+  }
+
+  function newRule() {
+    return {
+      id: "r" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name: "",
+      enabled: true,
+      type: "permission",
+      project: "",
+      category: "",
+      maxRisk: "low",
+      pattern: "",
+      action: "approve",
+      choice: "",
+      allowHighRisk: false,
+    };
+  }
+
+  /** Collect rules from the settings form (unnamed rules get a generic name). */
+  function readRuleForm() {
+    const rows = document.querySelectorAll("#rule-list .rule-row");
+    return [...rows].map((row, i) => {
+      const input = (name) => row.querySelector(`[data-field="${name}"]`);
+      const field = (name) => input(name).value.trim();
+      return {
+        id: row.dataset.ruleId,
+        name: field("name") || I18n.t("rule.defaultName", { n: i + 1 }),
+        enabled: input("enabled").checked,
+        type: field("type"),
+        project: field("project"),
+        category: field("category"),
+        maxRisk: field("maxRisk"),
+        pattern: field("pattern"),
+        action: field("action"),
+        choice: field("choice").toUpperCase(),
+        allowHighRisk: input("allowHighRisk").checked,
+      };
+    });
+  }
+
+  function renderRuleForm() {
+    const list = document.getElementById("rule-list");
+    list.innerHTML = "";
+    for (const r of settings.rules) list.appendChild(UI.createRuleRow(r));
+    document.getElementById("setting-rules-enabled").checked = settings.rulesEnabled;
+  }
+
+  function newMute() {
+    return { id: "m" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6), project: "", type: "" };
+  }
+
+  /** Collect mutes from the settings form (rows with neither field set are dropped). */
+  function readMuteForm() {
+    const rows = document.querySelectorAll("#mute-list .mute-row");
+    return [...rows]
+      .map((row) => {
+        const field = (name) => row.querySelector(`[data-field="${name}"]`).value.trim();
+        return { id: row.dataset.muteId, project: field("project"), type: field("type") };
+      })
+      .filter((m) => m.project || m.type);
+  }
+
+  function renderMuteForm() {
+    const list = document.getElementById("mute-list");
+    list.innerHTML = "";
+    for (const m of settings.mutes) list.appendChild(UI.createMuteRow(m));
+  }
+
+  const MAX_CLIP_BYTES = 300 * 1024;
+
+  function newAlertProfile() {
+    return { id: "a" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6), project: "", type: "", tone: "", audio: null, audioName: "", vibrate: [] };
+  }
+
+  function _readAlertProfileRow(row) {
+    const field = (name) => row.querySelector(`[data-field="${name}"]`).value.trim();
+    const clip = field("tone") === "clip";
+    return {
+      id: row.dataset.alertId,
+      project: field("project"),
+      type: field("type"),
+      tone: clip ? "" : field("tone"),
+      audio: clip ? field("audio") || null : null,
+      audioName: clip ? field("audioName") : "",
+      vibrate: Alerts.parsePattern(field("vibrate")),
+    };
+  }
+
+  /** Collect alert profiles from the settings form; null (after showing an error) if a pattern is invalid. */
+  function readAlertProfileForm() {
+    const profiles = [...document.querySelectorAll("#alert-profile-list .alert-profile-row")].map(_readAlertProfileRow);
+    const invalid = profiles.findIndex((p) => !p.vibrate);
+    if (invalid !== -1) {
+      UI.showError(I18n.t("app.alertPatternInvalid", { n: invalid + 1 }));
+      return null;
+    }
+    return profiles;
+  }
+
+  function renderAlertProfileForm() {
+    const list = document.getElementById("alert-profile-list");
+    list.innerHTML = "";
+    for (const p of settings.alertProfiles) list.appendChild(UI.createAlertProfileRow(p));
+  }
+
+  /** IndexedDB "kv" key of an alert profile's clip. */
+  function clipKey(id) {
+    return `clip-${id}`;
+  }
+
+  /**
+   * Store the alert profiles' clips in IndexedDB (localStorage's quota is far
+   * too small for them) and drop the clips of profiles that no longer use one.
+   * @param {object[]} profiles
+   * @param {object[]} [previous] — the profiles being replaced
+   * @returns {Promise<boolean>} — false (after showing an error) if a clip couldn't be stored
+   */
+  async function saveAlertClips(profiles, previous = []) {
+    try {
+      for (const p of profiles) {
+        if (p.audio) await DB.put("kv", p.audio, clipKey(p.id));
+      }
+      const used = new Set(profiles.filter((p) => p.audioName).map((p) => p.id));
+      for (const p of previous) {
+        if (p.audioName && !used.has(p.id)) await DB.del("kv", clipKey(p.id));
+      }
+      return true;
+    } catch (err) {
+      UI.showError(I18n.t("app.clipNotSaved", { error: (err && err.message) || err }));
+      return false;
+    }
+  }
+
+  /**
+   * Load the alert profiles' clips from IndexedDB. Clips that older versions
+   * kept in the settings are moved there first.
+   */
+  async function loadAlertClips() {
+    if (settings.alertProfiles.some((p) => p.audio) && (await saveAlertClips(settings.alertProfiles))) {
+      saveSettings();
+    }
+    await Promise.all(settings.alertProfiles.filter((p) => p.audioName && !p.audio).map(async (p) => {
+      p.audio = (await DB.get("kv", clipKey(p.id)).catch(() => null)) || null;
+    }));
+    renderAlertProfileForm();
+  }
+
+  /** Read an uploaded clip into the row (as a data: URL) and select it. */
+  function loadAlertClip(input) {
+    const file = input.files[0];
+    input.value = "";
+    if (!file) return;
+    if (file.size > MAX_CLIP_BYTES) {
+      UI.showError(I18n.t("app.clipTooBig", { name: file.name }));
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      const row = input.closest(".alert-profile-row");
+      const profile = { ..._readAlertProfileRow(row), audio: reader.result, audioName: file.name };
+      profile.vibrate = profile.vibrate || [];
+      row.replaceWith(UI.createAlertProfileRow(profile));
+    };
+    reader.onerror = () => UI.showError(I18n.t("app.clipUnreadable", { name: file.name }));
+    reader.readAsDataURL(file);
+  }
+
+  /** Play a row's sound and vibration as they are in the form (quiet hours and mutes don't apply). */
+  function testAlertProfile(row) {
+    const profile = _readAlertProfileRow(row);
+    if (!profile.vibrate) {
+      UI.showError(I18n.t("app.patternInvalid"));
+      return;
+    }
+    const alert = Alerts.profileFor([profile], { type: profile.type || "decision", project: profile.project });
+    if (navigator.vibrate) navigator.vibrate(alert.vibrate);
+    playAlert(alert);
+  }
+
+  function renderDeviceForm() {
+    document.getElementById("device-id").textContent = settings.device.id;
+    document.getElementById("device-key").value = settings.device.key;
+  }
+
+  function renderKnownDevicesForm() {
+    document.getElementById("setting-known-devices").value =
+      settings.knownDevices.map((d) => `${d.id}:${d.key}`).join("\n");
+  }
+
+  /**
+   * Known devices from the form: "id:key" pairs, one per line or comma separated —
+   * so another device's copied CLAUDE_MOBILE_DEVICE_KEYS line can be pasted as is.
+   */
+  function readKnownDevicesForm() {
+    const text = document.getElementById("setting-known-devices").value;
+    const devices = new Map();
+    for (const [, id, key] of text.matchAll(/([\w-]+):([0-9a-fA-F]{64})\b/g)) {
+      if (!settings.device || id !== settings.device.id) devices.set(id, { id, key: key.toLowerCase() });
+    }
+    return [...devices.values()];
+  }
+
+  /** Env snippet for the hook side: which device keys may sign replies. */
+  function deviceSnippet() {
+    return `CLAUDE_MOBILE_DEVICE_KEYS="${settings.device.id}:${settings.device.key}"`;
+  }
+
+  function renderServerForm() {
+    document.getElementById("setting-server").value = settings.server;
+    document.getElementById("setting-token").value = settings.token;
+    document.getElementById("setting-username").value = settings.username;
+    document.getElementById("setting-password").value = settings.password;
+  }
+
+  function renderProfileForm() {
+    const list = document.getElementById("profile-list");
+    list.innerHTML = "";
+    for (const p of settings.profiles) list.appendChild(UI.createProfileRow(p));
+  }
+
   function loadSettings() {
     try {
       const stored = localStorage.getItem(SETTINGS_KEY);
       if (stored) {
         const parsed = JSON.parse(stored);
+        // Migrate single topic/replyTopic settings into one profile
+        if (!parsed.profiles && parsed.topic) {
+          parsed.profiles = [{
+            id: "default",
+            name: "Claude",
+            topic: parsed.topic,
+            replyTopic: parsed.replyTopic || "",
+            color: PROFILE_COLORS[0],
+          }];
+          Store.adoptLegacyHistory(parsed.profiles[0]);
+        }
+        delete parsed.topic;
+        delete parsed.replyTopic;
         Object.assign(settings, parsed);
       }
     } catch { /* use defaults */ }
+    I18n.setLanguage(settings.language);
+
+    if (!settings.device) {
+      settings.device = Sign.createDevice();
+      saveSettings();
+    }
 
     // Populate form (works whether DOM is already loaded or not)
     function _populateForm() {
-      document.getElementById("setting-topic").value = settings.topic;
-      document.getElementById("setting-reply").value = settings.replyTopic;
+      I18n.apply(document);
+      document.getElementById("setting-language").value = settings.language;
+      renderServerForm();
+      renderProfileForm();
+      renderDeviceForm();
+      renderRuleForm();
       document.getElementById("setting-vibrate").checked = settings.vibrate;
       document.getElementById("setting-sound").checked = settings.sound;
+      document.getElementById("setting-quiet-enabled").checked = settings.quietHours.enabled;
+      document.getElementById("setting-quiet-start").value = settings.quietHours.start;
+      document.getElementById("setting-quiet-end").value = settings.quietHours.end;
+      document.getElementById("setting-break-through").checked = settings.breakThrough;
+      renderMuteForm();
+      renderAlertProfileForm();
+      document.getElementById("setting-reminders").value = String(settings.reminderMinutes);
+      document.getElementById("setting-sync-answers").checked = settings.syncAnswers;
+      renderKnownDevicesForm();
+      document.getElementById("setting-confirm-mode").value = settings.highRiskConfirm;
+      document.getElementById("setting-biometric").checked = !!settings.biometric;
+      document.getElementById("setting-retention").value = String(settings.retentionDays);
     }
     if (document.readyState === "loading") {
       document.addEventListener("DOMContentLoaded", _populateForm);
@@ -223,75 +1475,258 @@ const App = (() => {
     }
   }
 
+  /** Switch the UI language: static markup, then everything rendered from JS. */
+  function applyLanguage() {
+    I18n.setLanguage(settings.language);
+    I18n.apply(document);
+    renderProfileForm();
+    renderRuleForm();
+    renderMuteForm();
+    renderAlertProfileForm();
+    renderDashboard();
+    renderHistory();
+    renderStats();
+    _refreshPushUI();
+  }
+
   function saveSettings() {
-    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    // Clips are stored separately (see saveAlertClips)
+    const stored = { ...settings, alertProfiles: settings.alertProfiles.map(({ audio, ...p }) => p) };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(stored));
   }
 
-  // ── History Persistence ──
-  function loadHistory() {
+  /** Keep an active push subscription on the current topics. */
+  function updatePushTopics() {
+    Push.isSubscribed().then((subscribed) => {
+      if (subscribed) {
+        Push.updateTopics(profileTopics()).catch((err) => UI.showError(err.message));
+      }
+    });
+  }
+
+  // ── Export / Import ──
+  async function exportHistory(format) {
+    const status = document.getElementById("transfer-status");
     try {
-      const stored = localStorage.getItem(HISTORY_KEY);
-      if (stored) {
-        const parsed = JSON.parse(stored);
-        notifications = parsed.map((n) => ({
-          ...n,
-          time: new Date(n.time),
-        }));
-        // Mark seen IDs from history
-        for (const n of notifications) seenIds.add(n.id);
+      const records = await Store.all();
+      const stamp = new Date().toISOString().slice(0, 10);
+      if (format === "csv") {
+        Transfer.download(`claude-mobile-history-${stamp}.csv`, Transfer.toCSV(records), "text/csv");
+      } else {
+        Transfer.download(`claude-mobile-history-${stamp}.json`, Transfer.toJSON(records), "application/json");
       }
-    } catch { /* start fresh */ }
+      status.textContent = I18n.t("app.exported", { count: records.length });
+    } catch {
+      status.textContent = I18n.t("app.exportFailed");
+    }
   }
 
-  function saveHistory() {
-    const toStore = notifications.slice(0, MAX_HISTORY);
-    localStorage.setItem(HISTORY_KEY, JSON.stringify(toStore));
+  async function importHistory(file) {
+    const status = document.getElementById("transfer-status");
+    try {
+      const items = Transfer.parseJSON(await file.text());
+      const { added, skipped } = await Store.merge(items);
+      for (const n of items) seenIds.add(n.id);
+      // Newer imported records belong in the dashboard window too
+      const known = new Set(notifications.map((n) => n.id));
+      const recent = (await Store.recent(RECENT_LIMIT)).filter((n) => !known.has(n.id));
+      notifications = [...notifications, ...recent].sort((a, b) => new Date(b.time) - new Date(a.time));
+      trimRecent();
+      renderDashboard();
+      renderHistory();
+      renderStats();
+      status.textContent = I18n.t("app.imported", { count: added, skipped });
+    } catch (err) {
+      status.textContent = I18n.t("app.importFailed", { error: err.message });
+    }
   }
 
-  function loadSeen() {
+  // ── History Persistence ──
+
+  /**
+   * Open the history store (migrating localStorage history on first run) and
+   * load the dashboard window: recent notifications plus every pending request.
+   */
+  async function loadHistory() {
     try {
-      const stored = localStorage.getItem(SEEN_KEY);
-      if (stored) {
-        const arr = JSON.parse(stored);
-        for (const id of arr) seenIds.add(id);
+      await Store.init();
+      await applyRetention();
+      const [recent, pending] = await Promise.all([Store.recent(RECENT_LIMIT), Store.pending()]);
+      const ids = new Set(recent.map((n) => n.id));
+      notifications = [...recent, ...pending.filter((n) => !ids.has(n.id))];
+      for (const n of notifications) seenIds.add(n.id);
+      renderDashboard();
+    } catch {
+      UI.showError(I18n.t("app.historyNotKept"));
+    }
+  }
+
+  function saveNotification(notification) {
+    Store.put(notification).catch(() => {});
+  }
+
+  /** Drop old notifications from the in-memory window (pending ones always stay). */
+  function trimRecent() {
+    if (notifications.length <= RECENT_LIMIT) return;
+    notifications = notifications.filter((n, i) => i < RECENT_LIMIT || (!n.answered && isActionable(n)));
+  }
+
+  function applyRetention() {
+    return Store.applyRetention(settings.retentionDays).catch(() => 0);
+  }
+
+  // ── Reminders ──
+
+  /**
+   * Alert again for requests still unanswered after each reminder interval,
+   * louder at every step (Reminders.STEPS), and keep the waiting times current.
+   */
+  function checkReminders() {
+    UI.updateWaiting();
+    const interval = settings.reminderMinutes * 60000;
+    if (!interval) return;
+    let loudest = 0;
+    let loudestRequest = null;
+    let vibrate = false;
+    let sound = false;
+    for (const n of notifications) {
+      if (n.answered || !isActionable(n)) continue;
+      const due = Reminders.stepDue(n.time, interval);
+      if (due <= (n.reminded || 0)) continue;
+      n.reminded = due;
+      remindInSystem(n, due);
+      const alert = Alerts.decide(alertConfig(), n);
+      if (!alert.vibrate && !alert.sound) continue;
+      if (due > loudest) {
+        loudest = due;
+        loudestRequest = n;
       }
-    } catch { /* ignore */ }
+      vibrate = vibrate || alert.vibrate;
+      sound = sound || alert.sound;
+    }
+    if (!loudest) return;
+    // One alert per check, however many requests are due — with the loudest one's profile
+    const step = Reminders.step(loudest);
+    const profile = Alerts.profileFor(settings.alertProfiles, loudestRequest);
+    if (vibrate && navigator.vibrate) navigator.vibrate(Alerts.repeatPattern(profile.vibrate, step.repeat));
+    if (sound) playAlert(profile, step.volume, step.repeat);
   }
 
-  function saveSeen() {
-    // Keep only last 200 IDs to prevent unbounded growth
-    const arr = [...seenIds].slice(-200);
-    localStorage.setItem(SEEN_KEY, JSON.stringify(arr));
+  /** Re-show the system notification while the app is in the background (the SW builds it from history). */
+  function remindInSystem(n, step) {
+    if (document.visibilityState === "visible") return;
+    const sw = navigator.serviceWorker && navigator.serviceWorker.controller;
+    if (sw) sw.postMessage({ type: "remind", id: n.id, step });
   }
 
   // ── Sound ──
+  const REPEAT_GAP_S = 0.4;
+  const CLIP_VOLUME = 4; // clips are mastered louder than the synthesized tones: 0.15 → 0.6
   let _audioCtx = null;
-  function playBeep() {
+
+  /**
+   * Play a profile's sound: its uploaded clip, or its tone sequence.
+   * @param {{tone: string, audio: string|null}} sound — from Alerts.profileFor
+   * @param {number} [volume] — tone gain (reminders escalate it)
+   * @param {number} [times] — how many times in a row
+   */
+  function playAlert(sound, volume = 0.15, times = 1) {
+    if (sound.audio) {
+      playClip(sound.audio, Math.min(1, volume * CLIP_VOLUME), times);
+      return;
+    }
     try {
       if (!_audioCtx) {
         _audioCtx = new (window.AudioContext || window.webkitAudioContext)();
       }
       if (_audioCtx.state === "suspended") _audioCtx.resume();
-      const osc = _audioCtx.createOscillator();
-      const gain = _audioCtx.createGain();
-      osc.connect(gain);
-      gain.connect(_audioCtx.destination);
-      osc.frequency.value = 880;
-      osc.type = "sine";
-      gain.gain.value = 0.15;
-      osc.start();
-      gain.gain.exponentialRampToValueAtTime(0.001, _audioCtx.currentTime + 0.3);
-      osc.stop(_audioCtx.currentTime + 0.3);
+      let start = _audioCtx.currentTime;
+      for (let i = 0; i < times; i++) {
+        for (const [freq, duration] of Alerts.toneNotes(sound.tone)) {
+          if (freq) playNote(freq, volume, start, duration);
+          start += duration;
+        }
+        start += REPEAT_GAP_S;
+      }
     } catch { /* no audio context */ }
   }
 
+  function playNote(freq, volume, start, duration) {
+    const osc = _audioCtx.createOscillator();
+    const gain = _audioCtx.createGain();
+    osc.connect(gain);
+    gain.connect(_audioCtx.destination);
+    osc.frequency.value = freq;
+    osc.type = "sine";
+    gain.gain.setValueAtTime(volume, start);
+    osc.start(start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+    osc.stop(start + duration);
+  }
+
+  function playClip(src, volume, times) {
+    const audio = new Audio(src);
+    audio.volume = volume;
+    let left = times;
+    audio.addEventListener("ended", () => {
+      if (--left > 0) setTimeout(() => audio.play().catch(() => {}), REPEAT_GAP_S * 1000);
+    });
+    audio.play().catch(() => { /* autoplay blocked */ });
+  }
+
   // ── Service Worker ──
   function registerServiceWorker() {
     if ("serviceWorker" in navigator) {
       navigator.serviceWorker.register("./sw.js").catch(() => {});
+      navigator.serviceWorker.addEventListener("message", (e) => {
+        if (e.data && e.data.type === "answered") applySwAnswer(e.data);
+        if (e.data && e.data.type === "outbox") refreshFromStore(e.data.id);
+      });
     }
   }
 
+  /** Mirror server, profiles and device key to IndexedDB so the service worker can reply. */
+  function syncConfig() {
+    if (typeof indexedDB === "undefined") return;
+    DB.put("kv", {
+      server: serverConfig(),
+      profiles: settings.profiles,
+      device: settings.device,
+      language: I18n.language(),
+      // The service worker can only vibrate: leave the clips out of the mirror
+      alerts: { ...alertConfig(), profiles: settings.alertProfiles.map(({ audio, ...p }) => p) },
+    }, "config").catch(() => {});
+  }
+
+  /**
+   * Apply an answer sent from a notification action. The service worker has
+   * already updated the store; load the record if it isn't in memory yet.
+   */
+  async function applySwAnswer(answer) {
+    let notification = notifications.find((n) => n.id === answer.id);
+    if (!notification) {
+      notification = await Store.get(answer.id).catch(() => null);
+      if (!notification) return;
+      seenIds.add(notification.id);
+      notifications.unshift(notification);
+      trimRecent();
+    }
+    notification.answered = true;
+    notification.answeredWith = answer.answeredWith;
+    notification.answeredAt = answer.answeredAt || new Date();
+    notification.queued = false;
+    renderDashboard();
+  }
+
+  /** Dismiss the system notification for a request answered in the app. */
+  function closeSystemNotification(notifId) {
+    if (!("serviceWorker" in navigator)) return;
+    navigator.serviceWorker.ready
+      .then((reg) => reg.getNotifications({ tag: notifId }))
+      .then((list) => list.forEach((n) => n.close()))
+      .catch(() => {});
+  }
+
   // ── Web Push ──
   async function initPush() {
     const btn = document.getElementById("btn-push-toggle");
@@ -299,7 +1734,7 @@ const App = (() => {
 
     if (!Push.isSupported()) {
       if (btn) {
-        btn.textContent = "Not supported";
+        btn.textContent = I18n.t("push.notSupported");
         btn.disabled = true;
       }
       return;
@@ -314,10 +1749,10 @@ const App = (() => {
           if (await Push.isSubscribed()) {
             await Push.unsubscribe();
           } else {
-            await Push.subscribe([settings.topic]);
+            await Push.subscribe(profileTopics());
           }
         } catch (err) {
-          if (statusEl) statusEl.textContent = `Error: ${err.message}`;
+          if (statusEl) statusEl.textContent = I18n.t("push.error", { error: err.message });
         } finally {
           btn.disabled = false;
           await _refreshPushUI();
@@ -332,10 +1767,10 @@ const App = (() => {
     if (!btn) return;
 
     const subscribed = await Push.isSubscribed();
-    btn.textContent = subscribed ? "Disable Push" : "Enable Push";
+    btn.textContent = I18n.t(subscribed ? "push.disable" : "push.enable");
     btn.classList.toggle("btn-push-active", subscribed);
     if (statusEl) {
-      statusEl.textContent = subscribed ? "Active — notifications arrive even when app is closed" : "";
+      statusEl.textContent = subscribed ? I18n.t("push.active") : "";
     }
   }
 
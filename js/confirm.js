@@ -0,0 +1,217 @@
+"use strict";
+
+/**
+ * confirm.js — Deliberate confirmation for high-risk approvals: hold-to-approve
+ * and slide-to-approve gestures on [data-confirm] controls, plus an optional
+ * WebAuthn platform-authenticator check (fingerprint/face).
+ *
+ * The WebAuthn check is a local user-verification gate: there is no server to
+ * verify the assertion, so it proves someone unlocked this phone's
+ * authenticator, nothing more.
+ */
+const Confirm = (() => {
+  const HOLD_MS = 1200;
+  const SLIDE_DONE = 0.9; // fraction of the track the thumb has to cross
+  const SLIDE_STEP = 0.25; // per arrow key
+
+  // ── Gestures ──
+
+  let holdTimer = null;
+  let holding = null;
+  let slide = null; // {el, thumb, max, startX, pointerId}
+
+  function _cancelHold() {
+    clearTimeout(holdTimer);
+    if (holding) holding.classList.remove("holding");
+    holding = null;
+  }
+
+  function _startHold(el, onConfirm) {
+    _cancelHold();
+    holding = el;
+    el.style.setProperty("--hold-ms", `${HOLD_MS}ms`);
+    el.classList.add("holding");
+    holdTimer = setTimeout(() => {
+      const done = holding;
+      _cancelHold();
+      if (navigator.vibrate) navigator.vibrate(50);
+      onConfirm(done);
+    }, HOLD_MS);
+  }
+
+  /** Slide control of a thumb, with the distance the thumb can travel. */
+  function _slideOf(thumb) {
+    const el = thumb.closest("[data-confirm='slide']");
+    return { el, thumb, max: Math.max(1, el.clientWidth - thumb.offsetWidth - 8) };
+  }
+
+  function _progress(s) {
+    return Number(s.el.style.getPropertyValue("--slide")) || 0;
+  }
+
+  function _moveThumb(s, offset) {
+    s.thumb.style.transform = `translateX(${offset}px)`;
+    s.el.style.setProperty("--slide", String(offset / s.max));
+    s.thumb.setAttribute("aria-valuenow", String(Math.round((offset / s.max) * 100)));
+  }
+
+  function _endSlide(s, onConfirm) {
+    const { el, thumb } = s;
+    el.classList.remove("sliding");
+    if (_progress(s) >= SLIDE_DONE) {
+      if (navigator.vibrate) navigator.vibrate(50);
+      onConfirm(el);
+      return;
+    }
+    // Not far enough: snap back
+    thumb.style.transform = "";
+    el.style.removeProperty("--slide");
+    thumb.setAttribute("aria-valuenow", "0");
+  }
+
+  /**
+   * Wire hold/slide controls under `root` (event delegation, survives re-renders).
+   * @param {Element|Document} root
+   * @param {function(Element)} onConfirm — called with the confirmed control
+   */
+  function setup(root, onConfirm) {
+    root.addEventListener("pointerdown", (e) => {
+      const hold = e.target.closest("[data-confirm='hold']");
+      if (hold) {
+        e.preventDefault();
+        _startHold(hold, onConfirm);
+        return;
+      }
+      const thumb = e.target.closest("[data-confirm='slide'] .slide-thumb");
+      if (thumb) {
+        e.preventDefault();
+        thumb.setPointerCapture(e.pointerId);
+        slide = { ..._slideOf(thumb), startX: e.clientX, pointerId: e.pointerId };
+        slide.el.classList.add("sliding");
+      }
+    });
+    root.addEventListener("pointermove", (e) => {
+      if (!slide || e.pointerId !== slide.pointerId) return;
+      _moveThumb(slide, Math.min(slide.max, Math.max(0, e.clientX - slide.startX)));
+    });
+    for (const type of ["pointerup", "pointercancel"]) {
+      root.addEventListener(type, (e) => {
+        _cancelHold();
+        if (slide && e.pointerId === slide.pointerId) {
+          const s = slide;
+          slide = null;
+          if (type === "pointercancel") _moveThumb(s, 0);
+          _endSlide(s, onConfirm);
+        }
+      });
+    }
+    root.addEventListener("pointerout", (e) => {
+      if (holding && e.target.closest("[data-confirm='hold']") === holding && !holding.contains(e.relatedTarget)) {
+        _cancelHold();
+      }
+    });
+    // Keyboard: hold Enter/Space on a hold button; on a slide thumb, the arrow
+    // keys (or Home/End) move it and Enter/Space lets go
+    root.addEventListener("keydown", (e) => {
+      const thumb = e.target.closest && e.target.closest("[data-confirm='slide'] .slide-thumb");
+      if (thumb) {
+        const s = _slideOf(thumb);
+        const step = { ArrowRight: SLIDE_STEP, ArrowUp: SLIDE_STEP, ArrowLeft: -SLIDE_STEP, ArrowDown: -SLIDE_STEP }[e.key];
+        if (step || e.key === "Home" || e.key === "End") {
+          e.preventDefault();
+          const to = e.key === "Home" ? 0 : e.key === "End" ? 1 : Math.min(1, Math.max(0, _progress(s) + step));
+          _moveThumb(s, to * s.max);
+        } else if ((e.key === "Enter" || e.key === " ") && !e.repeat) {
+          e.preventDefault();
+          _endSlide(s, onConfirm);
+        }
+        return;
+      }
+      const hold = e.target.closest && e.target.closest("[data-confirm='hold']");
+      if (!hold || (e.key !== "Enter" && e.key !== " ")) return;
+      e.preventDefault();
+      if (!e.repeat) _startHold(hold, onConfirm);
+    });
+    root.addEventListener("keyup", (e) => {
+      if (e.key === "Enter" || e.key === " ") _cancelHold();
+    });
+  }
+
+  // ── WebAuthn ──
+
+  function _toBase64(bytes) {
+    let bin = "";
+    for (const b of new Uint8Array(bytes)) bin += String.fromCharCode(b);
+    return btoa(bin);
+  }
+
+  function _fromBase64(b64) {
+    return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+  }
+
+  /** Is a platform authenticator with user verification (fingerprint/face/PIN) available? */
+  async function biometricAvailable() {
+    if (!window.PublicKeyCredential || !PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable) return false;
+    try {
+      return await PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable();
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Create a platform credential for this app.
+   * @returns {Promise<string>} — credential ID (base64), stored in settings
+   */
+  async function registerBiometric() {
+    const credential = await navigator.credentials.create({
+      publicKey: {
+        challenge: crypto.getRandomValues(new Uint8Array(32)),
+        rp: { name: "Claude Mobile" },
+        user: {
+          id: crypto.getRandomValues(new Uint8Array(16)),
+          name: "claude-mobile",
+          displayName: "Claude Mobile",
+        },
+        pubKeyCredParams: [
+          { type: "public-key", alg: -7 }, // ES256
+          { type: "public-key", alg: -257 }, // RS256
+        ],
+        authenticatorSelection: {
+          authenticatorAttachment: "platform",
+          userVerification: "required",
+          residentKey: "discouraged",
+        },
+        attestation: "none",
+        timeout: 60000,
+      },
+    });
+    if (!credential) throw new Error(I18n.t("app.biometricNoCredential"));
+    return _toBase64(credential.rawId);
+  }
+
+  /**
+   * Ask for fingerprint/face with the stored credential.
+   * @returns {Promise<boolean>} — true if the authenticator verified the user
+   */
+  async function verifyBiometric(credentialId) {
+    try {
+      const assertion = await navigator.credentials.get({
+        publicKey: {
+          challenge: crypto.getRandomValues(new Uint8Array(32)),
+          allowCredentials: [{ type: "public-key", id: _fromBase64(credentialId), transports: ["internal"] }],
+          userVerification: "required",
+          timeout: 60000,
+        },
+      });
+      if (!assertion) return false;
+      // authenticatorData: rpIdHash (32 bytes), then flags; bit 2 = user verified
+      const flags = new Uint8Array(assertion.response.authenticatorData)[32];
+      return (flags & 0x04) !== 0;
+    } catch {
+      return false;
+    }
+  }
+
+  return { setup, biometricAvailable, registerBiometric, verifyBiometric };
+})();
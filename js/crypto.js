@@ -0,0 +1,81 @@
+"use strict";
+
+/**
+ * crypto.js — End-to-end encryption of message bodies/titles with a shared secret.
+ * Shared by the app and the service worker (WebCrypto only, no dependencies).
+ *
+ * Wire format: "e2e1:" + base64(iv[12] || AES-256-GCM ciphertext+tag)
+ * Key: PBKDF2-SHA256(secret, salt "claude-mobile-e2e1", 100000 iterations) → 256 bit.
+ * The hook side encrypts title/message before publishing and decrypts replies
+ * with the same scheme; tags and action bodies stay plaintext.
+ */
+const E2E = (() => {
+  const PREFIX = "e2e1:";
+  const SALT = "claude-mobile-e2e1";
+  const ITERATIONS = 100000;
+  const _keys = new Map(); // secret → Promise<CryptoKey> (PBKDF2 is slow, derive once)
+
+  function isEncrypted(text) {
+    return typeof text === "string" && text.startsWith(PREFIX);
+  }
+
+  function _deriveKey(secret) {
+    if (!_keys.has(secret)) {
+      const enc = new TextEncoder();
+      const promise = crypto.subtle
+        .importKey("raw", enc.encode(secret), "PBKDF2", false, ["deriveKey"])
+        .then((base) => crypto.subtle.deriveKey(
+          { name: "PBKDF2", salt: enc.encode(SALT), iterations: ITERATIONS, hash: "SHA-256" },
+          base,
+          { name: "AES-GCM", length: 256 },
+          false,
+          ["encrypt", "decrypt"]
+        ));
+      _keys.set(secret, promise);
+    }
+    return _keys.get(secret);
+  }
+
+  function _toBase64(bytes) {
+    let bin = "";
+    for (const b of bytes) bin += String.fromCharCode(b);
+    return btoa(bin);
+  }
+
+  function _fromBase64(b64) {
+    return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+  }
+
+  /**
+   * Encrypt text with the shared secret.
+   * @returns {Promise<string>} — "e2e1:..." payload
+   */
+  async function encrypt(secret, text) {
+    const key = await _deriveKey(secret);
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ct = new Uint8Array(
+      await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(text))
+    );
+    const out = new Uint8Array(iv.length + ct.length);
+    out.set(iv);
+    out.set(ct, iv.length);
+    return PREFIX + _toBase64(out);
+  }
+
+  /**
+   * Decrypt an "e2e1:..." payload. Plaintext input is returned unchanged.
+   * Throws if the secret is missing or wrong, or the payload was tampered with.
+   */
+  async function decrypt(secret, text) {
+    if (!isEncrypted(text)) return text;
+    if (!secret) throw new Error("No shared secret configured");
+    const key = await _deriveKey(secret);
+    const raw = _fromBase64(text.slice(PREFIX.length));
+    const pt = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: raw.slice(0, 12) }, key, raw.slice(12)
+    );
+    return new TextDecoder().decode(pt);
+  }
+
+  return { isEncrypted, encrypt, decrypt };
+})();
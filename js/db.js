@@ -0,0 +1,134 @@
+"use strict";
+
+/**
+ * db.js — Minimal IndexedDB wrapper shared by the app and the service worker.
+ * The service worker can't read localStorage, so anything it needs
+ * (server/profile config, notification history) lives here.
+ */
+const DB = (() => {
+  const NAME = "claude-mobile";
+  const VERSION = 3;
+  let _dbPromise = null;
+
+  /** Open (and create/upgrade) the database. Cached after first call. */
+  function open() {
+    if (_dbPromise) return _dbPromise;
+    _dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(NAME, VERSION);
+      req.onupgradeneeded = (e) => {
+        const db = req.result;
+        // v1: key/value ("config" mirrored from app settings) + answers sent from
+        // notification actions (legacy since v2 — drained by Store.init)
+        if (e.oldVersion < 1) {
+          db.createObjectStore("kv");
+          db.createObjectStore("answers", { keyPath: "id" });
+        }
+        // v2: notification history + seen message IDs (replaces localStorage)
+        if (e.oldVersion < 2) {
+          const notifs = db.createObjectStore("notifications", { keyPath: "id" });
+          notifs.createIndex("time", "time");
+          notifs.createIndex("project", "project");
+          notifs.createIndex("type", "type");
+          notifs.createIndex("answer", "answer");
+          const seen = db.createObjectStore("seen", { keyPath: "id" });
+          seen.createIndex("time", "time");
+        }
+        // v3: replies waiting for connectivity (sent by the SW on Background Sync)
+        if (e.oldVersion < 3) {
+          db.createObjectStore("outbox", { keyPath: "id" });
+        }
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // Another context (app or SW) is upgrading the schema — let it
+        db.onversionchange = () => {
+          db.close();
+          _dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => {
+        _dbPromise = null;
+        reject(req.error);
+      };
+    });
+    return _dbPromise;
+  }
+
+  /** Run one request in its own transaction and resolve with its result. */
+  async function _request(storeName, mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function get(storeName, key) {
+    return _request(storeName, "readonly", (s) => s.get(key));
+  }
+
+  function getAll(storeName) {
+    return _request(storeName, "readonly", (s) => s.getAll());
+  }
+
+  /** Put a value; `key` only for stores without a keyPath (e.g. "kv"). */
+  function put(storeName, value, key) {
+    return _request(storeName, "readwrite", (s) => (key === undefined ? s.put(value) : s.put(value, key)));
+  }
+
+  /** Put many values in one transaction (stores with a keyPath). */
+  async function putAll(storeName, values) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, "readwrite");
+      const store = tx.objectStore(storeName);
+      for (const v of values) store.put(v);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function del(storeName, key) {
+    return _request(storeName, "readwrite", (s) => s.delete(key));
+  }
+
+  function clear(storeName) {
+    return _request(storeName, "readwrite", (s) => s.clear());
+  }
+
+  function count(storeName, key) {
+    return _request(storeName, "readonly", (s) => s.count(key));
+  }
+
+  /**
+   * Walk a store or index with a cursor.
+   * @param {string} storeName
+   * @param {object} opts — {index, range, direction, mode}
+   * @param {function(IDBCursorWithValue): boolean|void} visit — return false to stop
+   */
+  async function iterate(storeName, opts, visit) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, opts.mode || "readonly");
+      const store = tx.objectStore(storeName);
+      const source = opts.index ? store.index(opts.index) : store;
+      const req = source.openCursor(opts.range || null, opts.direction || "next");
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return;
+        if (visit(cursor) === false) return;
+        cursor.continue();
+      };
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  return { open, get, getAll, put, putAll, del, clear, count, iterate };
+})();
@@ -0,0 +1,235 @@
+"use strict";
+
+/**
+ * diff.js — Line diffs for file-edit permission requests: parses unified
+ * diffs and diffs old/new strings (Edit tool input) into the same shape.
+ * A file is {oldPath, newPath, hunks: [{header, lines: [{type, text, oldNo, newNo}]}],
+ * added, removed}; line types are "add", "del" and "ctx".
+ */
+const Diff = (() => {
+  const CONTEXT = 3;
+  // LCS table cells; larger changes are shown as a plain replace
+  const MAX_CELLS = 250000;
+
+  function _file(oldPath, newPath) {
+    return { oldPath, newPath, hunks: [], added: 0, removed: 0 };
+  }
+
+  function _path(raw) {
+    const path = raw.replace(/\t.*$/, "").trim();
+    if (path === "/dev/null") return null;
+    return path.replace(/^[ab]\//, "");
+  }
+
+  /**
+   * Parse a unified diff (git or plain). Bare +/- lines without headers
+   * become a single hunk without line numbers.
+   * @param {string} text
+   * @returns {object[]} files
+   */
+  function parse(text) {
+    const files = [];
+    let file = null;
+    let hunk = null;
+    let oldNo = null;
+    let newNo = null;
+    // Lines left in the current hunk (from its header); Infinity without one
+    let oldLeft = 0;
+    let newLeft = 0;
+
+    const startFile = (oldPath, newPath) => {
+      file = _file(oldPath, newPath);
+      files.push(file);
+      hunk = null;
+    };
+
+    for (const line of (text || "").replace(/\r\n?/g, "\n").replace(/\n$/, "").split("\n")) {
+      if (!file && /^[+\- ]/.test(line) && !/^(--- |\+\+\+ )/.test(line)) {
+        // Bare +/- lines: one hunk without line numbers
+        startFile(null, null);
+        hunk = { header: null, lines: [] };
+        file.hunks.push(hunk);
+        oldNo = newNo = null;
+        oldLeft = newLeft = Infinity;
+      }
+      if (hunk && (oldLeft > 0 || newLeft > 0)) {
+        if (line.startsWith("\\")) continue; // "\ No newline at end of file"
+        const sign = line[0];
+        if (sign === "+") {
+          hunk.lines.push({ type: "add", text: line.slice(1), oldNo: null, newNo });
+          file.added++;
+          newLeft--;
+          if (newNo != null) newNo++;
+          continue;
+        }
+        if (sign === "-") {
+          hunk.lines.push({ type: "del", text: line.slice(1), oldNo, newNo: null });
+          file.removed++;
+          oldLeft--;
+          if (oldNo != null) oldNo++;
+          continue;
+        }
+        if (sign === " " || line === "") {
+          hunk.lines.push({ type: "ctx", text: line.slice(1), oldNo, newNo });
+          oldLeft--;
+          newLeft--;
+          if (oldNo != null) oldNo++;
+          if (newNo != null) newNo++;
+          continue;
+        }
+      }
+      hunk = null;
+
+      const git = line.match(/^diff --git a\/(.+) b\/(.+)$/);
+      if (git) {
+        startFile(git[1], git[2]);
+        continue;
+      }
+      if (line.startsWith("--- ")) {
+        if (!file || file.hunks.length) startFile(null, null);
+        file.oldPath = _path(line.slice(4));
+        continue;
+      }
+      if (line.startsWith("+++ ") && file && !file.hunks.length) {
+        file.newPath = _path(line.slice(4));
+        continue;
+      }
+      const header = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+      if (header) {
+        if (!file) startFile(null, null);
+        hunk = { header: line, lines: [] };
+        file.hunks.push(hunk);
+        oldNo = Number(header[1]);
+        newNo = Number(header[3]);
+        oldLeft = header[2] === undefined ? 1 : Number(header[2]);
+        newLeft = header[4] === undefined ? 1 : Number(header[4]);
+        continue;
+      }
+      // Anything else is git metadata (index, mode lines) — skipped
+    }
+    return files.filter((f) => f.hunks.some((h) => h.lines.length));
+  }
+
+  /** Line operations turning a into b: [{type, text}], via LCS on the changed middle. */
+  function _ops(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+      endA--;
+      endB--;
+    }
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const ops = a.slice(0, start).map((text) => ({ type: "ctx", text }));
+
+    if (midA.length * midB.length > MAX_CELLS) {
+      for (const text of midA) ops.push({ type: "del", text });
+      for (const text of midB) ops.push({ type: "add", text });
+    } else {
+      // lcs[i][j] = LCS length of midA[i..] and midB[j..]
+      const lcs = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+      for (let i = midA.length - 1; i >= 0; i--) {
+        for (let j = midB.length - 1; j >= 0; j--) {
+          lcs[i][j] = midA[i] === midB[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+      }
+      let i = 0;
+      let j = 0;
+      while (i < midA.length || j < midB.length) {
+        if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+          ops.push({ type: "ctx", text: midA[i++] });
+          j++;
+        } else if (i < midA.length && (j === midB.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+          ops.push({ type: "del", text: midA[i++] });
+        } else {
+          ops.push({ type: "add", text: midB[j++] });
+        }
+      }
+    }
+
+    for (const text of a.slice(endA)) ops.push({ type: "ctx", text });
+    return ops;
+  }
+
+  /**
+   * Diff two strings (e.g. Edit's old_string/new_string) into hunks with
+   * CONTEXT lines around each change. Line numbers are relative to the snippet.
+   * @returns {object[]} files (one, or none when nothing changed)
+   */
+  function fromStrings(oldText, newText, path) {
+    const split = (s) => (s ? s.replace(/\r\n?/g, "\n").split("\n") : []);
+    const ops = _ops(split(oldText), split(newText));
+    const file = _file(path || null, path || null);
+
+    let oldNo = 1;
+    let newNo = 1;
+    const numbered = ops.map((op) => {
+      const entry = { ...op, oldNo: op.type === "add" ? null : oldNo, newNo: op.type === "del" ? null : newNo };
+      if (op.type !== "add") oldNo++;
+      if (op.type !== "del") newNo++;
+      if (op.type === "add") file.added++;
+      if (op.type === "del") file.removed++;
+      return entry;
+    });
+
+    // Keep changed lines plus CONTEXT lines around them, split into hunks at gaps
+    const keep = numbered.map(() => false);
+    numbered.forEach((line, idx) => {
+      if (line.type === "ctx") return;
+      for (let k = Math.max(0, idx - CONTEXT); k <= Math.min(numbered.length - 1, idx + CONTEXT); k++) keep[k] = true;
+    });
+    let hunk = null;
+    numbered.forEach((line, idx) => {
+      if (!keep[idx]) {
+        hunk = null;
+        return;
+      }
+      if (!hunk) {
+        hunk = { header: null, lines: [] };
+        file.hunks.push(hunk);
+      }
+      hunk.lines.push(line);
+    });
+    for (const h of file.hunks) {
+      const oldCount = h.lines.filter((l) => l.type !== "add").length;
+      const newCount = h.lines.filter((l) => l.type !== "del").length;
+      const oldStart = h.lines.find((l) => l.oldNo != null);
+      const newStart = h.lines.find((l) => l.newNo != null);
+      h.header = `@@ -${oldStart ? oldStart.oldNo : 0},${oldCount} +${newStart ? newStart.newNo : 0},${newCount} @@`;
+    }
+    return file.hunks.length ? [file] : [];
+  }
+
+  /**
+   * Files of a request's `edit` field — a unified diff, or old/new strings.
+   * @param {{file?: string, diff?: string, old?: string, new?: string}|null} edit
+   * @returns {object[]|null} — null when there is nothing to show
+   */
+  function of(edit) {
+    if (!edit) return null;
+    let files;
+    if (edit.diff) {
+      files = parse(edit.diff);
+      // Plain diffs of one file often come without headers
+      for (const f of files) {
+        if (!f.oldPath && !f.newPath) f.oldPath = f.newPath = edit.file || null;
+      }
+    } else {
+      files = fromStrings(edit.old || "", edit.new || "", edit.file);
+    }
+    return files.length ? files : null;
+  }
+
+  /** Total line counts: {files, added, removed}. */
+  function summary(files) {
+    return {
+      files: files.length,
+      added: files.reduce((sum, f) => sum + f.added, 0),
+      removed: files.reduce((sum, f) => sum + f.removed, 0),
+    };
+  }
+
+  return { parse, fromStrings, of, summary };
+})();
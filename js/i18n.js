@@ -0,0 +1,858 @@
+"use strict";
+
+/**
+ * i18n.js — Message catalog (English, Czech) and locale-aware date, time,
+ * relative-time and duration formatting. Shared by the app and the service
+ * worker; the service worker gets the language from the mirrored config.
+ *
+ * Messages may have {placeholders}; plural messages are objects keyed by
+ * Intl.PluralRules category and take a `count` parameter.
+ */
+const I18n = (() => {
+  const FALLBACK = "en";
+
+  const MESSAGES = {
+    en: {
+      // Header, navigation
+      "status.connecting": "Connecting...",
+      "status.connected": "Connected",
+      "status.disconnected": "Disconnected",
+      "status.reconnecting": "Reconnecting...",
+      "status.unauthorized": "Unauthorized",
+      "nav.live": "Live",
+      "nav.liveAria": "Live dashboard",
+      "nav.history": "History",
+      "nav.historyAria": "Notification history",
+      "nav.stats": "Stats",
+      "nav.statsAria": "Statistics",
+      "nav.settings": "Settings",
+
+      // Notification types
+      "type.done": "Done",
+      "type.decision": "Decision",
+      "type.approve": "Approve",
+      "type.permission": "Permission",
+      "type.choice": "Choice",
+
+      // Cards
+      "card.ok": "OK",
+      "card.deny": "Deny",
+      "card.slide": "Slide to approve →",
+      "card.slideAria": "Slide right to approve (keyboard: End, then Enter)",
+      "card.hold": "Hold to approve",
+      "card.comment": "Comment (optional), e.g. skip the migration",
+      "card.commentAria": "Comment",
+      "card.reply": "Reply to Claude…",
+      "card.replyAria": "Reply",
+      "card.send": "Send",
+      "card.files": { one: "{count} file", other: "{count} files" },
+      "card.file": "(file)",
+      "card.diffTruncated": "Diff truncated — too long to show here.",
+      "card.queued": "Queued",
+      "card.queuedTitle": "Sent automatically when the connection is back",
+      "card.expiredUnsent": "Expired — reply was not sent",
+      "card.expired": "Expired — no longer waiting for an answer",
+      "card.replied": "Replied",
+      "card.answered": "Answered",
+      "card.denied": "Denied",
+      "card.elsewhere": "answered on another device",
+      "card.elsewhereDevice": "Device {device}",
+      "card.elsewhereOther": "Another device or the terminal",
+      "card.unverified": "unverified answer elsewhere",
+      "card.unverifiedTitle": "\"{answer}\" from {device}, whose signature this device can't verify — still waiting. Add the device under Settings → Known devices to trust its answers.",
+      "card.unverifiedUnsigned": "an unsigned sender",
+      "card.auto": "auto",
+      "card.autoTitle": "Answered by an auto-response rule",
+      "card.session": "Session {session}",
+      "card.unsigned": "Unsigned",
+      "card.unsignedTitle": "No machine signature",
+      "card.uncheckedTitle": "Not verified — no machine key is set for this profile",
+      "card.badSignature": "Bad signature",
+      "card.badSignatureTitle": "Signature does not match the machine key",
+      "card.riskTitle": "Command category and risk",
+      "card.expiryTitle": "The hook stops waiting at this time",
+      "card.waitingTitle": "Claude is waiting for an answer",
+      "card.decryptFailed": "Cannot decrypt this message. Check the shared secret of this profile.",
+      "card.copy": "Copy",
+      "card.copied": "Copied",
+      "card.copyAria": "Copy code",
+
+      // Dashboard, History
+      "dashboard.empty": "Waiting for notifications...",
+      "history.title": "History",
+      "history.search": "Search title or message",
+      "history.searchAria": "Search history",
+      "history.filterType": "Filter by type",
+      "history.filterStatus": "Filter by status",
+      "history.filterProject": "Filter by project",
+      "history.all": "All",
+      "history.anyStatus": "Any status",
+      "history.pending": "Pending",
+      "history.answered": "Answered",
+      "history.denied": "Denied",
+      "history.allProjects": "All projects",
+      "history.from": "From date",
+      "history.to": "To date",
+      "history.reset": "Clear filters",
+      "history.more": "Load more",
+      "history.empty": "No notifications yet.",
+      "history.noMatch": "No matching notifications.",
+
+      // Stats
+      "stats.title": "Stats",
+      "stats.range": "Time range",
+      "stats.days": { one: "{count} day", other: "{count} days" },
+      "stats.allTime": "All time",
+      "stats.empty": "No notifications in this period.",
+      "stats.approved": "Approved",
+      "stats.denied": "Denied",
+      "stats.ignored": "Ignored",
+      "stats.pending": "Pending",
+      "stats.medianReply": "Median reply",
+      "stats.p90Reply": "p90 reply",
+      "stats.notifications": "Notifications",
+      "stats.byProject": "By project",
+      "stats.byType": "By type",
+      "stats.noProject": "(no project)",
+      "stats.busiestHours": "Busiest hours",
+      "stats.choices": "Choices picked",
+      "stats.ok": "OK",
+      "stats.deny": "Deny",
+      "stats.median": "Median",
+      "stats.p90": "p90",
+
+      // Diagnostics
+      "diag.title": "Diagnostics",
+      "diag.open": "Connection diagnostics",
+      "diag.connection": "Connection",
+      "diag.transport": "Transport",
+      "diag.status": "Status",
+      "diag.server": "Server",
+      "diag.topics": "Topics",
+      "diag.topicCount": "{topics} request, {replies} reply",
+      "diag.connects": "Connection attempts",
+      "diag.reconnects": "Reconnects",
+      "diag.backoff": "Next backoff",
+      "diag.nextRetry": "Next retry",
+      "diag.openedAt": "Last connected",
+      "diag.lastKeepalive": "Last keepalive",
+      "diag.lastMessage": "Last message",
+      "diag.watchdog": "Watchdog reconnects",
+      "diag.lastFetch": "Last history fetch",
+      "diag.fetchResult": "{time}: HTTP {status}, {count} lines",
+      "diag.fetchFailed": "{time}: network error",
+      "diag.lastClose": "Last close",
+      "diag.closeCode": "{time}: code {code}",
+      "diag.since": "Fetch cursor (lastSince)",
+      "diag.push": "Web Push",
+      "diag.pushUnsupported": "Not supported in this browser",
+      "diag.permission": "Notification permission",
+      "diag.subscription": "Subscription",
+      "diag.notSubscribed": "Not subscribed",
+      "diag.expires": "Expires",
+      "diag.noExpiry": "No expiry set",
+      "diag.lastPush": "Last push received",
+      "diag.errors": "Recent errors",
+      "diag.noErrors": "No errors since the app started.",
+      "diag.never": "never",
+      "diag.test": "Send test message",
+      "diag.testDesc": "Publishes a message to the first profile's topic and waits for it to come back over the connection. Other devices ignore it.",
+      "diag.testing": "Sending…",
+      "diag.roundTrip": "Round trip: {ms} ms",
+      "diag.noTopic": "Add a profile with a topic first.",
+      "diag.source.websocket": "WebSocket",
+      "diag.source.watchdog": "Watchdog",
+      "diag.source.fetch": "History fetch",
+      "diag.source.publish": "Publish",
+      "diag.source.sse": "SSE",
+      "diag.source.poll": "Polling",
+      "diag.source.message": "Message handling",
+      "transport.websocket": "WebSocket",
+      "transport.sse": "SSE",
+      "transport.poll": "Polling",
+
+      // Settings
+      "settings.title": "Settings",
+      "settings.language": "Language",
+      "settings.languageAuto": "Browser language",
+      "settings.server": "Server",
+      "settings.token": "Access Token",
+      "settings.tokenDesc": "Or use username and password. Leave all empty for public topics.",
+      "settings.username": "Username",
+      "settings.password": "Password",
+      "settings.profiles": "Profiles",
+      "settings.profilesDesc": "One topic pair per machine. All profiles are subscribed at once. Anyone who knows a topic can read and answer its requests: use generated topics and rotate them now and then.",
+      "settings.addProfile": "+ Add profile",
+      "settings.device": "This Device",
+      "settings.deviceDesc": "Replies are signed with this key. Add it to the hook configuration on every machine (Copy puts the env line on the clipboard).",
+      "settings.deviceKey": "Device key",
+      "settings.diagnosticsDesc": "Connection state, recent errors and a test message, for when notifications stop arriving.",
+      "settings.regenKey": "Regenerate key",
+      "settings.rules": "Auto-answer Rules",
+      "settings.rulesDesc": "Answer routine requests automatically while the app is open. The first enabled matching rule wins. High-risk requests are only approved by rules that allow it.",
+      "settings.addRule": "+ Add rule",
+      "settings.confirm": "High-risk Approvals",
+      "settings.confirmDesc": "OK on a high-risk command needs a deliberate gesture instead of a tap. Deny stays one tap. System notifications don't offer OK for these.",
+      "settings.slide": "Slide to approve",
+      "settings.biometric": "Fingerprint / Face Check",
+      "settings.biometricDesc": "Also unlock with this phone's fingerprint or face before the approval is sent.",
+      "settings.vibration": "Vibration",
+      "settings.sound": "Sound",
+      "settings.reminders": "Reminders",
+      "settings.remindersDesc": "Alert again while a request is unanswered, louder each time: vibration and sound, and a system notification when the app is in the background (the last two stay until you act). Three reminders at most.",
+      "settings.off": "Off",
+      "settings.everyMinutes": { one: "Every minute", other: "Every {count} minutes" },
+      "settings.quiet": "Quiet Hours",
+      "settings.quietDesc": "No sound or vibration in this window (it may run past midnight). Notifications are still shown and logged.",
+      "settings.quietStart": "Quiet hours start",
+      "settings.quietEnd": "Quiet hours end",
+      "settings.breakThrough": "Urgent Requests Break Through",
+      "settings.breakThroughDesc": "High-priority and high-risk requests still alert during quiet hours and mutes.",
+      "settings.muted": "Muted",
+      "settings.mutedDesc": "Silence a project, a message type, or one type of one project, e.g. a noisy project during a demo.",
+      "settings.addMute": "+ Add mute",
+      "settings.alertProfiles": "Alert Profiles",
+      "settings.alertProfilesDesc": "Tell requests apart without looking: a tone or short sound clip (max 300 KB) and a vibration pattern (on/off milliseconds) per project or type. The first matching profile wins; unset fields use the type's default. Done and decision messages only make a sound in the app with a profile for their type or project. Push notifications use the vibration pattern.",
+      "settings.addAlertProfile": "+ Add alert profile",
+      "settings.syncAnswers": "Sync Answers",
+      "settings.syncAnswersDesc": "Also listen on the reply topics, so requests answered on another device or in the terminal leave the pending list. Needs read access to the reply topics.",
+      "settings.knownDevices": "Known devices",
+      "settings.knownDevicesDesc": "Only answers signed by these devices (or by a profile's machine key) clear a request; others are just flagged on the card. Paste each device's key line (Settings → This Device → Copy). Pairing adds the device that showed the code.",
+      "settings.push": "Web Push",
+      "settings.pushDesc": "Receive notifications even when the app is closed.",
+      "settings.retention": "Keep History",
+      "settings.year": "1 year",
+      "settings.forever": "Forever",
+      "settings.transfer": "Export / Import",
+      "settings.transferDesc": "Download history for audits, or merge a JSON export from another device.",
+      "settings.exportJson": "Export JSON",
+      "settings.exportCsv": "Export CSV",
+      "settings.import": "Import JSON",
+      "settings.save": "Save",
+      "settings.clearHistory": "Clear History",
+      "settings.pair": "Pair Another Device",
+      "settings.pairDesc": "Show a QR code with the server, credentials and profiles (including shared secrets) of this device. Only show it to your own devices.",
+      "settings.pairShow": "Show pairing code",
+      "settings.pairHide": "Hide pairing code",
+      "settings.pairCopy": "Copy pairing link",
+      "settings.pairEmpty": "Add a profile with a topic first.",
+
+      // Pairing wizard
+      "pair.welcome": "Welcome to Claude Mobile",
+      "pair.welcomeDesc": "Connect this phone to your machines. On a device that is already set up, open Settings → Pair Another Device and scan the code it shows.",
+      "pair.scan": "Scan pairing code",
+      "pair.paste": "Paste pairing link",
+      "pair.manual": "Set up manually",
+      "pair.scanTitle": "Scan Pairing Code",
+      "pair.scanning": "Point the camera at the pairing code.",
+      "pair.scanUnsupported": "This browser can't scan QR codes. Scan the code with the phone's camera app instead (it opens the pairing link), or paste the link.",
+      "pair.cameraFailed": "Camera not available: {error}",
+      "pair.back": "Back",
+      "pair.pasteTitle": "Paste Pairing Link",
+      "pair.continue": "Continue",
+      "pair.invalid": "This is not a valid pairing link.",
+      "pair.confirmTitle": "Use This Configuration?",
+      "pair.confirmDesc": "Only continue if the code comes from one of your own devices: this phone will receive requests from these topics and answer them.",
+      "pair.server": "Server",
+      "pair.login": "Signs in as {user}",
+      "pair.token": "Signs in with an access token",
+      "pair.encrypted": "encrypted",
+      "pair.verified": "verifies requests",
+      "pair.cancel": "Cancel",
+      "pair.apply": "Use it",
+      "pair.doneTitle": "Paired",
+      "pair.doneDesc": "One more step: the hooks only accept replies signed by devices they know. Add this line to the hook configuration on each machine.",
+      "pair.copyDevice": "Copy device line",
+      "pair.finish": "Done",
+
+      // Settings rows
+      "profile.color": "Profile color",
+      "profile.name": "Name (e.g. Laptop)",
+      "profile.nameAria": "Profile name",
+      "profile.remove": "Remove profile",
+      "profile.topic": "Topic",
+      "profile.replyTopic": "Reply topic",
+      "profile.secret": "Shared secret (optional, enables encryption)",
+      "profile.secretAria": "Shared secret",
+      "profile.machineKey": "Machine key (optional, verifies requests)",
+      "profile.machineKeyAria": "Machine key",
+      "profile.generate": "Generate topics",
+      "profile.rotate": "Rotate topics",
+      "profile.rotating": "Rotating: the old topics stay subscribed until {time}. Update the hook environment on this profile's machines:",
+      "profile.endRotation": "Drop old topics now",
+      "rule.enabled": "Rule enabled",
+      "rule.name": "Rule name (e.g. Git read-only)",
+      "rule.nameAria": "Rule name",
+      "rule.defaultName": "Rule {n}",
+      "rule.remove": "Remove rule",
+      "rule.type": "Notification type",
+      "rule.anyType": "Any type",
+      "rule.anyProject": "Any project",
+      "rule.project": "Project",
+      "rule.category": "Command category",
+      "rule.anyCommand": "Any command",
+      "rule.risk": "Risk level",
+      "rule.anyRisk": "Any risk",
+      "rule.lowOnly": "Low only",
+      "rule.upToMedium": "Up to medium",
+      "rule.upToHigh": "Up to high",
+      "rule.pattern": "Title/body regex (e.g. git (status|diff))",
+      "rule.patternAria": "Pattern",
+      "rule.action": "Response",
+      "rule.sendOk": "Send OK",
+      "rule.sendDeny": "Send Deny",
+      "rule.pickChoice": "Pick choice",
+      "rule.choice": "Letter (A, B…)",
+      "rule.choiceAria": "Choice letter",
+      "rule.allowHighRisk": "Also answer high-risk requests",
+      "rule.invalidPattern": "Rule \"{name}\": invalid pattern.",
+      "rule.invalidChoice": "Rule \"{name}\": choice must be a single letter A–Z.",
+      "mute.project": "Muted project",
+      "mute.type": "Muted type",
+      "mute.remove": "Remove mute",
+      "alert.sound": "Sound",
+      "alert.typeDefault": "Type default",
+      "alert.tone.beep": "Beep",
+      "alert.tone.double": "Double beep",
+      "alert.tone.rising": "Rising",
+      "alert.tone.falling": "Falling",
+      "alert.tone.chime": "Chime",
+      "alert.tone.alarm": "Alarm",
+      "alert.tone.low": "Low tone",
+      "alert.uploaded": "Uploaded sound",
+      "alert.vibrate": "Vibration ms (200, 100, 200)",
+      "alert.vibrateAria": "Vibration pattern",
+      "alert.upload": "Upload sound",
+      "alert.test": "Test",
+      "alert.remove": "Remove alert profile",
+
+      // App messages
+      "app.historyUnavailable": "History storage is unavailable in this browser.",
+      "app.historyNotKept": "History storage is unavailable. Notifications won't be kept after reload.",
+      "app.noReplyTopic": "Cannot reply: no profile with a reply topic matches this request. Check Settings.",
+      "app.biometricFailed": "Fingerprint/face check failed. Not approved.",
+      "app.clipboard": "Clipboard not available.",
+      "app.clipboardKey": "Clipboard not available. Copy the key manually.",
+      "app.regenConfirm": "Generate a new device key? Hooks will reject replies until they get the new key.",
+      "app.rotateConfirm": "Move \"{name}\" to new random topics? The old topics stay subscribed for 24 hours so requests already sent still arrive; update the hooks before then.",
+      "app.rotateUnsaved": "Save the profile before rotating its topics.",
+      "app.biometricUnavailable": "No fingerprint or face unlock available on this device.",
+      "app.biometricEnabled": "Enabled.",
+      "app.biometricSetupFailed": "Fingerprint/face setup failed: {error}",
+      "app.biometricNoCredential": "No credential was created.",
+      "app.alertPatternInvalid": "Alert profile {n}: the vibration pattern must be up to 20 numbers (milliseconds, max 5000) like 200, 100, 200.",
+      "app.patternInvalid": "The vibration pattern must be numbers (milliseconds) like 200, 100, 200.",
+      "app.clipTooBig": "\"{name}\" is too big for an alert sound (max 300 KB).",
+      "app.clipUnreadable": "Could not read \"{name}\".",
+      "app.clipNotSaved": "Could not store the alert sound: {error}",
+      "app.exported": { one: "Exported {count} notification.", other: "Exported {count} notifications." },
+      "app.exportFailed": "Export failed: history storage unavailable.",
+      "app.imported": { one: "Imported {count} notification ({skipped} already in history).", other: "Imported {count} notifications ({skipped} already in history)." },
+      "app.importFailed": "Import failed: {error}",
+      "push.enable": "Enable Push",
+      "push.disable": "Disable Push",
+      "push.notSupported": "Not supported",
+      "push.active": "Active — notifications arrive even when app is closed",
+      "push.error": "Error: {error}",
+      "push.configFetch": "ntfy config fetch",
+      "push.registration": "ntfy webpush registration",
+      "push.unauthorized": "{action}: authentication failed (401). Check server credentials.",
+      "push.forbidden": "{action}: access denied (403). This user cannot read the topic.",
+      "push.failed": "{action} failed {status}",
+      "push.disabled": "ntfy Web Push not enabled",
+      "push.unsupported": "Web Push not supported",
+      "push.permissionDenied": "Notification permission denied",
+      "ntfy.fetching": "Fetching messages",
+      "ntfy.sending": "Sending reply",
+      "ntfy.unauthorized": "{action}: authentication failed (401). Check the access token or username/password in Settings.",
+      "ntfy.forbidden": "{action}: access denied (403). This user is not allowed to use the topic.",
+      "ntfy.failed": "{action} failed (HTTP {status}).",
+      "ntfy.testing": "Sending test message",
+      "ntfy.stale": "No activity for {seconds} s, reconnecting.",
+      "ntfy.connectTimeout": "Still connecting after {seconds} s, retrying.",
+      "ntfy.closed": "Connection closed (code {code}).",
+      "ntfy.lost": "Connection lost.",
+      "ntfy.fallback": "{from} doesn't get through, switching to {to}.",
+      "ntfy.pingTimeout": "The test message didn't come back within {seconds} s.",
+      "ntfy.pingNoAccess": "The test message was sent, but reading the topic was refused (401/403). Check the credentials and the topic's read access.",
+      "transfer.notJson": "Not a JSON file.",
+      "transfer.notExport": "Not a Claude Mobile history export.",
+      "transfer.newer": "This export was made by a newer version of the app.",
+
+      // System notifications (service worker)
+      "sw.expiringTitle": "Claude Mobile — Push expiring",
+      "sw.expiringBody": "Renew Web Push in the app settings.",
+      "sw.encrypted": "Encrypted message — cannot decrypt. Open the app.",
+      "sw.update": "New update available",
+      "sw.waiting": "Claude has been waiting {time}.",
+      "sw.replyFailed": "Reply could not be sent. Tap to open the app and answer there.",
+    },
+
+    cs: {
+      "status.connecting": "Připojování...",
+      "status.connected": "Připojeno",
+      "status.disconnected": "Odpojeno",
+      "status.reconnecting": "Znovu se připojuji...",
+      "status.unauthorized": "Nepřihlášeno",
+      "nav.live": "Živě",
+      "nav.liveAria": "Živý přehled",
+      "nav.history": "Historie",
+      "nav.historyAria": "Historie notifikací",
+      "nav.stats": "Statistiky",
+      "nav.statsAria": "Statistiky",
+      "nav.settings": "Nastavení",
+
+      "type.done": "Hotovo",
+      "type.decision": "Rozhodnutí",
+      "type.approve": "Schválení",
+      "type.permission": "Oprávnění",
+      "type.choice": "Volba",
+
+      "card.ok": "OK",
+      "card.deny": "Zamítnout",
+      "card.slide": "Přetáhni pro schválení →",
+      "card.slideAria": "Přetáhni doprava pro schválení (klávesnice: End, pak Enter)",
+      "card.hold": "Podrž pro schválení",
+      "card.comment": "Komentář (nepovinný), např. vynech migraci",
+      "card.commentAria": "Komentář",
+      "card.reply": "Odpověď Claudovi…",
+      "card.replyAria": "Odpověď",
+      "card.send": "Odeslat",
+      "card.files": { one: "{count} soubor", few: "{count} soubory", other: "{count} souborů" },
+      "card.file": "(soubor)",
+      "card.diffTruncated": "Diff zkrácen — je příliš dlouhý.",
+      "card.queued": "Ve frontě",
+      "card.queuedTitle": "Odešle se automaticky po obnovení spojení",
+      "card.expiredUnsent": "Vypršelo — odpověď nebyla odeslána",
+      "card.expired": "Vypršelo — na odpověď se už nečeká",
+      "card.replied": "Odpovězeno",
+      "card.answered": "Zodpovězeno",
+      "card.denied": "Zamítnuto",
+      "card.elsewhere": "zodpovězeno na jiném zařízení",
+      "card.elsewhereDevice": "Zařízení {device}",
+      "card.elsewhereOther": "Jiné zařízení nebo terminál",
+      "card.unverified": "neověřená odpověď odjinud",
+      "card.unverifiedTitle": "„{answer}“ od {device}, jehož podpis toto zařízení neumí ověřit — stále se čeká. Přidej zařízení v Nastavení → Známá zařízení, aby se jeho odpovědím věřilo.",
+      "card.unverifiedUnsigned": "nepodepsaného odesílatele",
+      "card.auto": "auto",
+      "card.autoTitle": "Zodpovězeno pravidlem automatické odpovědi",
+      "card.session": "Relace {session}",
+      "card.unsigned": "Nepodepsáno",
+      "card.unsignedTitle": "Chybí podpis stroje",
+      "card.uncheckedTitle": "Neověřeno — tento profil nemá nastavený klíč stroje",
+      "card.badSignature": "Neplatný podpis",
+      "card.badSignatureTitle": "Podpis neodpovídá klíči stroje",
+      "card.riskTitle": "Kategorie příkazu a riziko",
+      "card.expiryTitle": "V tento čas hook přestane čekat",
+      "card.waitingTitle": "Claude čeká na odpověď",
+      "card.decryptFailed": "Zprávu nelze dešifrovat. Zkontroluj sdílené tajemství tohoto profilu.",
+      "card.copy": "Kopírovat",
+      "card.copied": "Zkopírováno",
+      "card.copyAria": "Kopírovat kód",
+
+      "dashboard.empty": "Čekám na notifikace...",
+      "history.title": "Historie",
+      "history.search": "Hledat v titulku nebo zprávě",
+      "history.searchAria": "Hledat v historii",
+      "history.filterType": "Filtrovat podle typu",
+      "history.filterStatus": "Filtrovat podle stavu",
+      "history.filterProject": "Filtrovat podle projektu",
+      "history.all": "Vše",
+      "history.anyStatus": "Libovolný stav",
+      "history.pending": "Čekající",
+      "history.answered": "Zodpovězené",
+      "history.denied": "Zamítnuté",
+      "history.allProjects": "Všechny projekty",
+      "history.from": "Od data",
+      "history.to": "Do data",
+      "history.reset": "Zrušit filtry",
+      "history.more": "Načíst další",
+      "history.empty": "Zatím žádné notifikace.",
+      "history.noMatch": "Žádné odpovídající notifikace.",
+
+      "stats.title": "Statistiky",
+      "stats.range": "Časové období",
+      "stats.days": { one: "{count} den", few: "{count} dny", other: "{count} dní" },
+      "stats.allTime": "Celou dobu",
+      "stats.empty": "V tomto období žádné notifikace.",
+      "stats.approved": "Schváleno",
+      "stats.denied": "Zamítnuto",
+      "stats.ignored": "Ignorováno",
+      "stats.pending": "Čeká",
+      "stats.medianReply": "Medián odpovědi",
+      "stats.p90Reply": "p90 odpovědi",
+      "stats.notifications": "Notifikace",
+      "stats.byProject": "Podle projektu",
+      "stats.byType": "Podle typu",
+      "stats.noProject": "(bez projektu)",
+      "stats.busiestHours": "Nejrušnější hodiny",
+      "stats.choices": "Zvolené možnosti",
+      "stats.ok": "OK",
+      "stats.deny": "Zamítnuto",
+      "stats.median": "Medián",
+      "stats.p90": "p90",
+
+      "diag.title": "Diagnostika",
+      "diag.open": "Diagnostika připojení",
+      "diag.connection": "Připojení",
+      "diag.transport": "Přenos",
+      "diag.status": "Stav",
+      "diag.server": "Server",
+      "diag.topics": "Témata",
+      "diag.topicCount": "požadavky {topics}, odpovědi {replies}",
+      "diag.connects": "Pokusy o připojení",
+      "diag.reconnects": "Znovupřipojení",
+      "diag.backoff": "Další prodleva",
+      "diag.nextRetry": "Další pokus",
+      "diag.openedAt": "Naposledy připojeno",
+      "diag.lastKeepalive": "Poslední keepalive",
+      "diag.lastMessage": "Poslední zpráva",
+      "diag.watchdog": "Znovupřipojení hlídačem",
+      "diag.lastFetch": "Poslední načtení historie",
+      "diag.fetchResult": "{time}: HTTP {status}, řádků {count}",
+      "diag.fetchFailed": "{time}: chyba sítě",
+      "diag.lastClose": "Poslední uzavření",
+      "diag.closeCode": "{time}: kód {code}",
+      "diag.since": "Kurzor načítání (lastSince)",
+      "diag.push": "Web Push",
+      "diag.pushUnsupported": "Tento prohlížeč nepodporuje",
+      "diag.permission": "Oprávnění k notifikacím",
+      "diag.subscription": "Odběr",
+      "diag.notSubscribed": "Neodebírá se",
+      "diag.expires": "Vyprší",
+      "diag.noExpiry": "Bez expirace",
+      "diag.lastPush": "Poslední přijatý push",
+      "diag.errors": "Poslední chyby",
+      "diag.noErrors": "Od spuštění aplikace žádné chyby.",
+      "diag.never": "nikdy",
+      "diag.test": "Poslat testovací zprávu",
+      "diag.testDesc": "Pošle zprávu do tématu prvního profilu a čeká, až se vrátí po připojení. Ostatní zařízení ji ignorují.",
+      "diag.testing": "Odesílání…",
+      "diag.roundTrip": "Cesta tam a zpět: {ms} ms",
+      "diag.noTopic": "Nejdřív přidej profil s tématem.",
+      "diag.source.websocket": "WebSocket",
+      "diag.source.watchdog": "Hlídač",
+      "diag.source.fetch": "Načtení historie",
+      "diag.source.publish": "Odeslání",
+      "diag.source.sse": "SSE",
+      "diag.source.poll": "Dotazování",
+      "diag.source.message": "Zpracování zprávy",
+      "transport.websocket": "WebSocket",
+      "transport.sse": "SSE",
+      "transport.poll": "Dotazování",
+
+      "settings.title": "Nastavení",
+      "settings.language": "Jazyk",
+      "settings.languageAuto": "Jazyk prohlížeče",
+      "settings.server": "Server",
+      "settings.token": "Přístupový token",
+      "settings.tokenDesc": "Nebo použij uživatelské jméno a heslo. Pro veřejná témata nech vše prázdné.",
+      "settings.username": "Uživatelské jméno",
+      "settings.password": "Heslo",
+      "settings.profiles": "Profily",
+      "settings.profilesDesc": "Jeden pár témat na stroj. Všechny profily se odebírají najednou. Kdo zná téma, může číst jeho požadavky a odpovídat na ně: používej vygenerovaná témata a občas je vyměň.",
+      "settings.addProfile": "+ Přidat profil",
+      "settings.device": "Toto zařízení",
+      "settings.deviceDesc": "Odpovědi se podepisují tímto klíčem. Přidej ho do konfigurace hooku na každém stroji (Kopírovat vloží řádek s proměnnou do schránky).",
+      "settings.deviceKey": "Klíč zařízení",
+      "settings.diagnosticsDesc": "Stav připojení, poslední chyby a testovací zpráva, když přestanou chodit notifikace.",
+      "settings.regenKey": "Vygenerovat nový klíč",
+      "settings.rules": "Pravidla automatických odpovědí",
+      "settings.rulesDesc": "Rutinní požadavky se zodpoví automaticky, dokud je aplikace otevřená. Platí první zapnuté odpovídající pravidlo. Vysoce rizikové požadavky schválí jen pravidla, která to povolují.",
+      "settings.addRule": "+ Přidat pravidlo",
+      "settings.confirm": "Vysoce riziková schválení",
+      "settings.confirmDesc": "OK u vysoce rizikového příkazu vyžaduje záměrné gesto místo klepnutí. Zamítnutí zůstává na jedno klepnutí. Systémové notifikace u nich OK nenabízejí.",
+      "settings.slide": "Přetáhni pro schválení",
+      "settings.biometric": "Kontrola otiskem / obličejem",
+      "settings.biometricDesc": "Před odesláním schválení ještě odemknout otiskem prstu nebo obličejem tohoto telefonu.",
+      "settings.vibration": "Vibrace",
+      "settings.sound": "Zvuk",
+      "settings.reminders": "Připomínky",
+      "settings.remindersDesc": "Upozornit znovu, dokud požadavek není zodpovězen, pokaždé hlasitěji: vibrace a zvuk a systémová notifikace, když je aplikace na pozadí (poslední dvě zůstanou, dokud nezareaguješ). Nejvýše tři připomínky.",
+      "settings.off": "Vypnuto",
+      "settings.everyMinutes": { one: "Každou minutu", few: "Každé {count} minuty", other: "Každých {count} minut" },
+      "settings.quiet": "Tiché hodiny",
+      "settings.quietDesc": "V tomto okně bez zvuku a vibrací (může přecházet přes půlnoc). Notifikace se stále zobrazují a ukládají.",
+      "settings.quietStart": "Začátek tichých hodin",
+      "settings.quietEnd": "Konec tichých hodin",
+      "settings.breakThrough": "Naléhavé požadavky projdou",
+      "settings.breakThroughDesc": "Požadavky s vysokou prioritou nebo vysokým rizikem upozorní i během tichých hodin a ztlumení.",
+      "settings.muted": "Ztlumeno",
+      "settings.mutedDesc": "Ztlum projekt, typ zprávy nebo jeden typ jednoho projektu, např. hlučný projekt během ukázky.",
+      "settings.addMute": "+ Přidat ztlumení",
+      "settings.alertProfiles": "Profily upozornění",
+      "settings.alertProfilesDesc": "Rozliš požadavky bez dívání: tón nebo krátký zvukový klip (max. 300 KB) a vzor vibrací (zap/vyp v milisekundách) pro projekt nebo typ. Platí první odpovídající profil; nevyplněné údaje se berou z výchozího nastavení typu. Hotovo a rozhodnutí zní v aplikaci jen s profilem pro svůj typ nebo projekt. Push notifikace používají vzor vibrací.",
+      "settings.addAlertProfile": "+ Přidat profil upozornění",
+      "settings.syncAnswers": "Synchronizovat odpovědi",
+      "settings.syncAnswersDesc": "Poslouchat i na tématech odpovědí, aby požadavky zodpovězené na jiném zařízení nebo v terminálu zmizely z čekajících. Vyžaduje právo číst témata odpovědí.",
+      "settings.knownDevices": "Známá zařízení",
+      "settings.knownDevicesDesc": "Požadavek vyřídí jen odpovědi podepsané těmito zařízeními (nebo klíčem stroje profilu); ostatní se jen označí na kartě. Vlož řádek s klíčem každého zařízení (Nastavení → Toto zařízení → Kopírovat). Párování přidá zařízení, které kód ukázalo.",
+      "settings.push": "Web Push",
+      "settings.pushDesc": "Přijímat notifikace, i když je aplikace zavřená.",
+      "settings.retention": "Uchovávat historii",
+      "settings.year": "1 rok",
+      "settings.forever": "Navždy",
+      "settings.transfer": "Export / Import",
+      "settings.transferDesc": "Stáhni historii pro audit, nebo slouč JSON export z jiného zařízení.",
+      "settings.exportJson": "Exportovat JSON",
+      "settings.exportCsv": "Exportovat CSV",
+      "settings.import": "Importovat JSON",
+      "settings.save": "Uložit",
+      "settings.clearHistory": "Smazat historii",
+      "settings.pair": "Spárovat další zařízení",
+      "settings.pairDesc": "Zobrazí QR kód se serverem, přihlašovacími údaji a profily (včetně sdílených tajemství) tohoto zařízení. Ukazuj ho jen svým vlastním zařízením.",
+      "settings.pairShow": "Zobrazit párovací kód",
+      "settings.pairHide": "Skrýt párovací kód",
+      "settings.pairCopy": "Kopírovat párovací odkaz",
+      "settings.pairEmpty": "Nejdřív přidej profil s tématem.",
+
+      "pair.welcome": "Vítej v Claude Mobile",
+      "pair.welcomeDesc": "Připoj tento telefon ke svým strojům. Na už nastaveném zařízení otevři Nastavení → Spárovat další zařízení a naskenuj kód, který ukáže.",
+      "pair.scan": "Naskenovat párovací kód",
+      "pair.paste": "Vložit párovací odkaz",
+      "pair.manual": "Nastavit ručně",
+      "pair.scanTitle": "Naskenovat párovací kód",
+      "pair.scanning": "Namiř fotoaparát na párovací kód.",
+      "pair.scanUnsupported": "Tento prohlížeč neumí číst QR kódy. Naskenuj kód aplikací fotoaparátu (otevře párovací odkaz), nebo odkaz vlož.",
+      "pair.cameraFailed": "Fotoaparát není dostupný: {error}",
+      "pair.back": "Zpět",
+      "pair.pasteTitle": "Vložit párovací odkaz",
+      "pair.continue": "Pokračovat",
+      "pair.invalid": "Toto není platný párovací odkaz.",
+      "pair.confirmTitle": "Použít tuto konfiguraci?",
+      "pair.confirmDesc": "Pokračuj jen tehdy, když kód pochází z tvého vlastního zařízení: tento telefon bude přijímat požadavky z těchto témat a odpovídat na ně.",
+      "pair.server": "Server",
+      "pair.login": "Přihlašuje se jako {user}",
+      "pair.token": "Přihlašuje se přístupovým tokenem",
+      "pair.encrypted": "šifrováno",
+      "pair.verified": "ověřuje požadavky",
+      "pair.cancel": "Zrušit",
+      "pair.apply": "Použít",
+      "pair.doneTitle": "Spárováno",
+      "pair.doneDesc": "Ještě jeden krok: hooky přijímají jen odpovědi podepsané známými zařízeními. Přidej tento řádek do konfigurace hooku na každém stroji.",
+      "pair.copyDevice": "Kopírovat řádek zařízení",
+      "pair.finish": "Hotovo",
+
+      "profile.color": "Barva profilu",
+      "profile.name": "Název (např. Notebook)",
+      "profile.nameAria": "Název profilu",
+      "profile.remove": "Odebrat profil",
+      "profile.topic": "Téma",
+      "profile.replyTopic": "Téma odpovědí",
+      "profile.secret": "Sdílené tajemství (nepovinné, zapne šifrování)",
+      "profile.secretAria": "Sdílené tajemství",
+      "profile.machineKey": "Klíč stroje (nepovinný, ověřuje požadavky)",
+      "profile.machineKeyAria": "Klíč stroje",
+      "profile.generate": "Vygenerovat témata",
+      "profile.rotate": "Vyměnit témata",
+      "profile.rotating": "Výměna témat: stará témata zůstanou odebíraná do {time}. Aktualizuj prostředí hooků na strojích tohoto profilu:",
+      "profile.endRotation": "Zrušit stará témata hned",
+      "rule.enabled": "Pravidlo zapnuto",
+      "rule.name": "Název pravidla (např. Git jen čtení)",
+      "rule.nameAria": "Název pravidla",
+      "rule.defaultName": "Pravidlo {n}",
+      "rule.remove": "Odebrat pravidlo",
+      "rule.type": "Typ notifikace",
+      "rule.anyType": "Libovolný typ",
+      "rule.anyProject": "Libovolný projekt",
+      "rule.project": "Projekt",
+      "rule.category": "Kategorie příkazu",
+      "rule.anyCommand": "Libovolný příkaz",
+      "rule.risk": "Úroveň rizika",
+      "rule.anyRisk": "Libovolné riziko",
+      "rule.lowOnly": "Jen nízké",
+      "rule.upToMedium": "Nejvýše střední",
+      "rule.upToHigh": "Nejvýše vysoké",
+      "rule.pattern": "Regex titulku/textu (např. git (status|diff))",
+      "rule.patternAria": "Vzor",
+      "rule.action": "Odpověď",
+      "rule.sendOk": "Poslat OK",
+      "rule.sendDeny": "Poslat zamítnutí",
+      "rule.pickChoice": "Zvolit možnost",
+      "rule.choice": "Písmeno (A, B…)",
+      "rule.choiceAria": "Písmeno volby",
+      "rule.allowHighRisk": "Odpovídat i na vysoce rizikové požadavky",
+      "rule.invalidPattern": "Pravidlo „{name}“: neplatný vzor.",
+      "rule.invalidChoice": "Pravidlo „{name}“: volba musí být jedno písmeno A–Z.",
+      "mute.project": "Ztlumený projekt",
+      "mute.type": "Ztlumený typ",
+      "mute.remove": "Odebrat ztlumení",
+      "alert.sound": "Zvuk",
+      "alert.typeDefault": "Výchozí pro typ",
+      "alert.tone.beep": "Pípnutí",
+      "alert.tone.double": "Dvojité pípnutí",
+      "alert.tone.rising": "Stoupající",
+      "alert.tone.falling": "Klesající",
+      "alert.tone.chime": "Zvonek",
+      "alert.tone.alarm": "Alarm",
+      "alert.tone.low": "Hluboký tón",
+      "alert.uploaded": "Nahraný zvuk",
+      "alert.vibrate": "Vibrace ms (200, 100, 200)",
+      "alert.vibrateAria": "Vzor vibrací",
+      "alert.upload": "Nahrát zvuk",
+      "alert.test": "Vyzkoušet",
+      "alert.remove": "Odebrat profil upozornění",
+
+      "app.historyUnavailable": "Úložiště historie není v tomto prohlížeči dostupné.",
+      "app.historyNotKept": "Úložiště historie není dostupné. Notifikace se po znovunačtení neuchovají.",
+      "app.noReplyTopic": "Nelze odpovědět: tomuto požadavku neodpovídá žádný profil s tématem odpovědí. Zkontroluj Nastavení.",
+      "app.biometricFailed": "Kontrola otiskem/obličejem selhala. Neschváleno.",
+      "app.clipboard": "Schránka není dostupná.",
+      "app.clipboardKey": "Schránka není dostupná. Zkopíruj klíč ručně.",
+      "app.regenConfirm": "Vygenerovat nový klíč zařízení? Hooky budou odpovědi odmítat, dokud nový klíč nedostanou.",
+      "app.rotateConfirm": "Přesunout „{name}“ na nová náhodná témata? Stará témata zůstanou 24 hodin odebíraná, aby dorazily i už odeslané požadavky; do té doby aktualizuj hooky.",
+      "app.rotateUnsaved": "Před výměnou témat profil ulož.",
+      "app.biometricUnavailable": "Toto zařízení nemá odemykání otiskem ani obličejem.",
+      "app.biometricEnabled": "Zapnuto.",
+      "app.biometricSetupFailed": "Nastavení otisku/obličeje selhalo: {error}",
+      "app.biometricNoCredential": "Nevzniklo žádné pověření.",
+      "app.alertPatternInvalid": "Profil upozornění {n}: vzor vibrací musí být nejvýše 20 čísel (milisekundy, max. 5000), např. 200, 100, 200.",
+      "app.patternInvalid": "Vzor vibrací musí být čísla (milisekundy), např. 200, 100, 200.",
+      "app.clipTooBig": "„{name}“ je na zvuk upozornění příliš velký (max. 300 KB).",
+      "app.clipUnreadable": "Nelze načíst „{name}“.",
+      "app.clipNotSaved": "Zvuk upozornění nelze uložit: {error}",
+      "app.exported": { one: "Exportována {count} notifikace.", few: "Exportovány {count} notifikace.", other: "Exportováno {count} notifikací." },
+      "app.exportFailed": "Export selhal: úložiště historie není dostupné.",
+      "app.imported": { one: "Importována {count} notifikace ({skipped} už v historii).", few: "Importovány {count} notifikace ({skipped} už v historii).", other: "Importováno {count} notifikací ({skipped} už v historii)." },
+      "app.importFailed": "Import selhal: {error}",
+      "push.enable": "Zapnout Push",
+      "push.disable": "Vypnout Push",
+      "push.notSupported": "Nepodporováno",
+      "push.active": "Aktivní — notifikace dorazí, i když je aplikace zavřená",
+      "push.error": "Chyba: {error}",
+      "push.configFetch": "Načtení konfigurace ntfy",
+      "push.registration": "Registrace ntfy webpush",
+      "push.unauthorized": "{action}: ověření selhalo (401). Zkontroluj přihlašovací údaje serveru.",
+      "push.forbidden": "{action}: přístup odepřen (403). Tento uživatel nemůže číst téma.",
+      "push.failed": "{action} selhalo {status}",
+      "push.disabled": "Web Push není na ntfy zapnutý",
+      "push.unsupported": "Web Push není podporován",
+      "push.permissionDenied": "Oprávnění k notifikacím zamítnuto",
+      "ntfy.fetching": "Načítání zpráv",
+      "ntfy.sending": "Odesílání odpovědi",
+      "ntfy.unauthorized": "{action}: ověření selhalo (401). Zkontroluj přístupový token nebo jméno a heslo v Nastavení.",
+      "ntfy.forbidden": "{action}: přístup odepřen (403). Tento uživatel nesmí téma používat.",
+      "ntfy.failed": "{action} selhalo (HTTP {status}).",
+      "ntfy.testing": "Odeslání testovací zprávy",
+      "ntfy.stale": "Žádná aktivita {seconds} s, připojuji znovu.",
+      "ntfy.connectTimeout": "Připojování trvá přes {seconds} s, zkouším znovu.",
+      "ntfy.closed": "Spojení uzavřeno (kód {code}).",
+      "ntfy.lost": "Spojení ztraceno.",
+      "ntfy.fallback": "{from} neprochází, přepínám na {to}.",
+      "ntfy.pingTimeout": "Testovací zpráva se do {seconds} s nevrátila.",
+      "ntfy.pingNoAccess": "Testovací zpráva odešla, ale čtení tématu bylo odmítnuto (401/403). Zkontroluj přihlašovací údaje a právo číst téma.",
+      "transfer.notJson": "Nejde o soubor JSON.",
+      "transfer.notExport": "Nejde o export historie Claude Mobile.",
+      "transfer.newer": "Tento export vytvořila novější verze aplikace.",
+
+      "sw.expiringTitle": "Claude Mobile — Push expiruje",
+      "sw.expiringBody": "Obnov Web Push v nastavení aplikace.",
+      "sw.encrypted": "Šifrovaná zpráva — nelze dešifrovat. Otevři aplikaci.",
+      "sw.update": "Je k dispozici nová aktualizace",
+      "sw.waiting": "Claude čeká už {time}.",
+      "sw.replyFailed": "Odpověď se nepodařilo odeslat. Klepni, otevři aplikaci a odpověz tam.",
+    },
+  };
+
+  const LANGUAGES = Object.keys(MESSAGES);
+
+  let current = detect();
+
+  /** First supported language from the browser's preferences. */
+  function detect(preferred = typeof navigator !== "undefined" ? navigator.languages || [navigator.language] : []) {
+    for (const tag of preferred) {
+      const lang = String(tag || "").toLowerCase().split("-")[0];
+      if (MESSAGES[lang]) return lang;
+    }
+    return FALLBACK;
+  }
+
+  /**
+   * Switch the message catalog and formatting locale.
+   * @param {string} [lang] — "en", "cs"; empty = browser language
+   */
+  function setLanguage(lang) {
+    current = MESSAGES[lang] ? lang : detect();
+    if (typeof document !== "undefined") document.documentElement.lang = current;
+    return current;
+  }
+
+  function language() {
+    return current;
+  }
+
+  /**
+   * Translated message, with {placeholders} filled in. Falls back to English,
+   * then to the key itself.
+   */
+  function t(key, params = {}) {
+    let msg = MESSAGES[current][key] ?? MESSAGES[FALLBACK][key] ?? key;
+    if (typeof msg === "object") {
+      msg = msg[new Intl.PluralRules(current).select(params.count)] ?? msg.other;
+    }
+    return msg.replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m));
+  }
+
+  // ── Formatting ──
+
+  /** Time as HH:MM in the current locale. */
+  function fmtTime(date) {
+    return new Date(date).toLocaleTimeString(current, { hour: "2-digit", minute: "2-digit" });
+  }
+
+  /** Short date without the year ("12 Mar", "12. 3."). */
+  function fmtDate(date) {
+    return new Date(date).toLocaleDateString(current, { day: "numeric", month: "short" });
+  }
+
+  /** Time only today, "yesterday HH:MM" for yesterday, otherwise short date + time. */
+  function fmtDateTime(date, now = new Date()) {
+    const d = new Date(date);
+    const yesterday = new Date(now);
+    yesterday.setDate(now.getDate() - 1);
+    if (d.toDateString() === now.toDateString()) return fmtTime(d);
+    if (d.toDateString() === yesterday.toDateString()) {
+      return `${new Intl.RelativeTimeFormat(current, { numeric: "auto" }).format(-1, "day")} ${fmtTime(d)}`;
+    }
+    return `${fmtDate(d)} ${fmtTime(d)}`;
+  }
+
+  const RELATIVE_UNITS = [["day", 86400], ["hour", 3600], ["minute", 60], ["second", 1]];
+
+  /** "5 minutes ago", "in 2 hours", "yesterday" — largest whole unit. */
+  function fmtRelative(date, now = Date.now()) {
+    const seconds = Math.round((new Date(date) - now) / 1000);
+    const [unit, size] = RELATIVE_UNITS.find(([, s]) => Math.abs(seconds) >= s) || RELATIVE_UNITS[3];
+    return new Intl.RelativeTimeFormat(current, { numeric: "auto" }).format(Math.trunc(seconds / size), unit);
+  }
+
+  /** A number with a short unit: "12m", "3 min", "5s". */
+  function fmtUnit(value, unit) {
+    return new Intl.NumberFormat(current, { style: "unit", unit, unitDisplay: "narrow" }).format(value);
+  }
+
+  // ── DOM ──
+
+  const ATTRIBUTES = { i18nPlaceholder: "placeholder", i18nAriaLabel: "aria-label", i18nTitle: "title" };
+
+  /**
+   * Translate static markup: data-i18n sets the text, data-i18n-placeholder /
+   * -aria-label / -title the attribute. data-i18n-count passes a plural count.
+   */
+  function apply(root) {
+    for (const el of root.querySelectorAll("[data-i18n], [data-i18n-placeholder], [data-i18n-aria-label], [data-i18n-title]")) {
+      const params = el.dataset.i18nCount ? { count: Number(el.dataset.i18nCount) } : {};
+      if (el.dataset.i18n) el.textContent = t(el.dataset.i18n, params);
+      for (const [key, attr] of Object.entries(ATTRIBUTES)) {
+        if (el.dataset[key]) el.setAttribute(attr, t(el.dataset[key], params));
+      }
+    }
+  }
+
+  return {
+    LANGUAGES,
+    detect, setLanguage, language, t,
+    fmtTime, fmtDate, fmtDateTime, fmtRelative, fmtUnit,
+    apply,
+  };
+})();
@@ -0,0 +1,315 @@
+"use strict";
+
+/**
+ * markdown.js — Safe markdown for card bodies. All text is HTML-escaped first;
+ * markup is only ever produced by the rules below. Supports headings, lists,
+ * blockquotes, tables, rules, fenced code (highlighted, with a copy button),
+ * inline code, links, bold, italic and strikethrough.
+ */
+const Markdown = (() => {
+  /** Escape HTML special characters (same as UI's esc). */
+  function esc(str) {
+    return str
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  // ── Syntax highlighting ──
+
+  const STRING = /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/;
+  const NUMBER = /\b\d+(?:\.\d+)?\b/;
+
+  const LANGS = {
+    js: {
+      comment: /\/\/.*|\/\*[\s\S]*?\*\//,
+      string: /`(?:\\.|[^`\\])*`|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/,
+      keywords: "async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield interface type enum implements",
+    },
+    py: {
+      comment: /#.*/,
+      string: /"""[\s\S]*?"""|'''[\s\S]*?'''|[rbf]?"(?:\\.|[^"\\\n])*"|[rbf]?'(?:\\.|[^'\\\n])*'/,
+      keywords: "and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield",
+    },
+    sh: {
+      comment: /(?:^|\s)#.*/,
+      string: STRING,
+      variable: /\$\{[^}]*\}|\$\w+/,
+      keywords: "if then else elif fi for in do done while until case esac function return export local set unset echo cd sudo exit source",
+    },
+    json: {
+      string: STRING,
+      keywords: "true false null",
+    },
+    sql: {
+      comment: /--.*/,
+      string: STRING,
+      keywords: "select from where and or not insert into values update set delete create table drop alter index join left right inner outer on group by order having limit as null is in like distinct primary key references",
+      caseInsensitive: true,
+    },
+  };
+  const ALIASES = {
+    javascript: "js", ts: "js", typescript: "js", jsx: "js", tsx: "js", mjs: "js",
+    python: "py", python3: "py",
+    bash: "sh", shell: "sh", zsh: "sh", console: "sh", shellsession: "sh",
+  };
+
+  const _compiled = {};
+
+  /** One regex with a capture group per token class, built once per language. */
+  function _lexer(name) {
+    if (_compiled[name]) return _compiled[name];
+    const lang = LANGS[name];
+    const classes = [];
+    const parts = [];
+    for (const cls of ["comment", "string", "variable"]) {
+      if (lang[cls]) {
+        classes.push(cls);
+        parts.push(`(${lang[cls].source})`);
+      }
+    }
+    classes.push("number");
+    parts.push(`(${NUMBER.source})`);
+    classes.push("keyword");
+    parts.push(`\\b(${lang.keywords.split(" ").join("|")})\\b`);
+    _compiled[name] = {
+      classes,
+      re: new RegExp(parts.join("|"), lang.caseInsensitive ? "gim" : "gm"),
+    };
+    return _compiled[name];
+  }
+
+  /** Highlighted, escaped HTML for a code block (plain escaped text for unknown languages). */
+  function highlight(code, language) {
+    const name = ALIASES[language] || language;
+    if (name === "diff") {
+      return code.split("\n").map((line) => {
+        const cls = line.startsWith("+") ? "tok-add" : line.startsWith("-") ? "tok-del" : line.startsWith("@@") ? "tok-hunk" : "";
+        return cls ? `<span class="${cls}">${esc(line)}</span>` : esc(line);
+      }).join("\n");
+    }
+    if (!LANGS[name]) return esc(code);
+
+    const { classes, re } = _lexer(name);
+    let html = "";
+    let last = 0;
+    re.lastIndex = 0;
+    let match;
+    while ((match = re.exec(code))) {
+      if (!match[0]) {
+        re.lastIndex++;
+        continue;
+      }
+      const cls = classes[match.slice(1).findIndex((g) => g !== undefined)];
+      html += esc(code.slice(last, match.index)) + `<span class="tok-${cls}">${esc(match[0])}</span>`;
+      last = match.index + match[0].length;
+    }
+    return html + esc(code.slice(last));
+  }
+
+  // ── Inline ──
+
+  function _safeUrl(url) {
+    return /^(https?:\/\/|mailto:)/i.test(url) ? url : null;
+  }
+
+  function _emphasis(s) {
+    return s
+      .replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>")
+      .replace(/~~(.+?)~~/g, "<del>$1</del>")
+      .replace(/(^|[^*\w])\*([^*\s](?:[^*]*[^*\s])?)\*(?![*\w])/g, "$1<em>$2</em>")
+      .replace(/(^|[^\w])_([^_\s](?:[^_]*[^_\s])?)_(?!\w)/g, "$1<em>$2</em>");
+  }
+
+  /**
+   * Inline markup on already escaped text. Code spans and links are cut out
+   * first so nothing inside them (or their URLs) is formatted; they are held
+   * behind NUL-delimited tokens, so NULs in the text itself become U+FFFD.
+   * Images aren't shown: `![alt](url)` stays as written.
+   */
+  function _inline(escaped) {
+    const held = [];
+    const hold = (html) => {
+      held.push(html);
+      return `\u0000${held.length - 1}\u0000`;
+    };
+    const link = (href, label) => hold(`<a href="${href}" target="_blank" rel="noopener noreferrer">${label}</a>`);
+
+    const s = escaped
+      .replace(/\u0000/g, "\ufffd")
+      .replace(/`([^`]+)`/g, (m, code) => hold(`<code>${code}</code>`))
+      // URLs may contain one level of balanced parentheses
+      .replace(/(!?)\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (m, image, label, url) => {
+        if (image) return hold(m);
+        const href = _safeUrl(url);
+        return href ? link(href, _emphasis(label)) : label;
+      })
+      .replace(/(^|[\s(])(https?:\/\/[^\s<)]*[^\s<).,:!?])/g, (m, before, url) => before + link(url, url));
+    return _emphasis(s).replace(/\u0000(\d+)\u0000/g, (m, i) => held[i]);
+  }
+
+  /** Inline markdown for short single-line text (choice descriptions). */
+  function inline(text) {
+    return _inline(esc(text));
+  }
+
+  // ── Blocks ──
+
+  const FENCE = /^\s*(`{3,}|~{3,})\s*([\w+-]*)\s*$/;
+  const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+  const HR = /^\s*([-*_])(\s*\1){2,}\s*$/;
+  const QUOTE = /^\s*>\s?(.*)$/;
+  const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+  const TABLE_SEP = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+
+  function _cells(line) {
+    return line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map((c) => c.trim());
+  }
+
+  function _codeBlock(lines, language) {
+    const code = lines.join("\n");
+    const label = language ? `<span class="md-code-lang">${esc(language)}</span>` : "";
+    return `<div class="md-code">${label}<button type="button" class="md-copy" data-copy-code aria-label="${I18n.t("card.copyAria")}">${I18n.t("card.copy")}</button>` +
+      `<pre><code>${highlight(code, language.toLowerCase())}</code></pre></div>`;
+  }
+
+  function _table(rows, aligns) {
+    const align = (i) => (aligns[i] ? ` style="text-align:${aligns[i]}"` : "");
+    const head = rows[0].map((c, i) => `<th${align(i)}>${_inline(esc(c))}</th>`).join("");
+    const body = rows.slice(1)
+      .map((r) => `<tr>${rows[0].map((h, i) => `<td${align(i)}>${_inline(esc(r[i] || ""))}</td>`).join("")}</tr>`)
+      .join("");
+    return `<div class="md-table-wrap"><table class="md-table"><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table></div>`;
+  }
+
+  /** Render a list starting at lines[i]; returns [html, next index]. */
+  function _list(lines, i) {
+    const first = lines[i].match(LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const start = ordered ? parseInt(first[2], 10) : 1;
+    const items = [];
+    while (i < lines.length) {
+      const m = lines[i].match(LIST_ITEM);
+      if (m && m[1].length === indent && /\d/.test(m[2]) === ordered) {
+        items.push([m[3]]);
+        i++;
+      } else if (items.length && lines[i].trim() && (/^\s/.test(lines[i]) && _indent(lines[i]) > indent)) {
+        // Continuation or nested list, de-indented to the item's content
+        items[items.length - 1].push(lines[i].slice(Math.min(_indent(lines[i]), indent + 2)));
+        i++;
+      } else if (!lines[i].trim() && i + 1 < lines.length && _indent(lines[i + 1]) > indent && items.length) {
+        i++; // blank line inside an item
+      } else {
+        break;
+      }
+    }
+    const tag = ordered ? "ol" : "ul";
+    const startAttr = ordered && start !== 1 ? ` start="${start}"` : "";
+    const html = items.map((item) => {
+      let inner = _blocks(item);
+      // Tight item: drop the paragraph wrapper
+      inner = inner.replace(/^<p>([\s\S]*?)<\/p>/, "$1");
+      return `<li>${inner}</li>`;
+    }).join("");
+    return [`<${tag}${startAttr}>${html}</${tag}>`, i];
+  }
+
+  function _indent(line) {
+    return line.match(/^\s*/)[0].length;
+  }
+
+  /** Render block-level markdown from lines of raw text. */
+  function _blocks(lines) {
+    let html = "";
+    let para = [];
+    const flush = () => {
+      if (para.length) html += `<p>${para.map((l) => _inline(esc(l))).join("<br>")}</p>`;
+      para = [];
+    };
+
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+
+      const fence = line.match(FENCE);
+      if (fence) {
+        flush();
+        const close = new RegExp(`^\\s*${fence[1][0]}{${fence[1].length},}\\s*$`);
+        const code = [];
+        i++;
+        while (i < lines.length && !close.test(lines[i])) code.push(lines[i++]);
+        i++; // closing fence (or end of text for an unclosed block)
+        html += _codeBlock(code, fence[2]);
+        continue;
+      }
+
+      if (!line.trim()) {
+        flush();
+        i++;
+        continue;
+      }
+
+      const heading = line.match(HEADING);
+      if (heading) {
+        flush();
+        const level = heading[1].length;
+        html += `<h${level} class="md-h">${_inline(esc(heading[2]))}</h${level}>`;
+        i++;
+        continue;
+      }
+
+      if (HR.test(line) && !para.length) {
+        html += "<hr>";
+        i++;
+        continue;
+      }
+
+      if (QUOTE.test(line)) {
+        flush();
+        const quoted = [];
+        while (i < lines.length && QUOTE.test(lines[i])) quoted.push(lines[i++].match(QUOTE)[1]);
+        html += `<blockquote>${_blocks(quoted)}</blockquote>`;
+        continue;
+      }
+
+      if (LIST_ITEM.test(line)) {
+        flush();
+        const [list, next] = _list(lines, i);
+        html += list;
+        i = next;
+        continue;
+      }
+
+      if (line.includes("|") && i + 1 < lines.length && TABLE_SEP.test(lines[i + 1])) {
+        flush();
+        const aligns = _cells(lines[i + 1]).map((c) => (
+          c.startsWith(":") && c.endsWith(":") ? "center" : c.endsWith(":") ? "right" : c.startsWith(":") ? "left" : ""
+        ));
+        const rows = [_cells(line)];
+        i += 2;
+        while (i < lines.length && lines[i].includes("|") && lines[i].trim()) rows.push(_cells(lines[i++]));
+        html += _table(rows, aligns);
+        continue;
+      }
+
+      para.push(line);
+      i++;
+    }
+    flush();
+    return html;
+  }
+
+  /**
+   * Render markdown text to safe HTML.
+   * @param {string} text — raw (unescaped) markdown
+   * @returns {string}
+   */
+  function render(text) {
+    return _blocks((text || "").replace(/\r\n?/g, "\n").split("\n"));
+  }
+
+  return { render, inline, highlight };
+})();
@@ -1,92 +1,178 @@
 "use strict";
 
 /**
- * ntfy.js — WebSocket connection to ntfy.sh
- * Handles subscribe, message routing, response publishing, auto-reconnect.
+ * ntfy.js — Connection to an ntfy server (ntfy.sh or self-hosted).
+ * Handles subscribe, message routing, response publishing, auto-reconnect, auth,
+ * and keeps connection diagnostics (counters, timestamps, recent errors).
+ *
+ * Transports, tried in order: WebSocket, Server-Sent Events (for proxies that
+ * block WebSocket upgrades), then polling the JSON endpoint. A transport that
+ * keeps failing before it ever opens is given up for the next one; all share
+ * the same watchdog and reconnect backoff. Failures while offline don't count,
+ * and WebSocket is tried again now and then, and whenever the network comes back
+ * or the app is brought to the foreground.
  */
 const Ntfy = (() => {
-  let ws = null;
-  let topic = "";
-  let replyTopic = "";
+  let conn = null; // current connection attempt: {name, state: "connecting"|"open"|"closed", close()}
+  let transport = 0; // index into TRANSPORTS
+  let failures = 0; // consecutive attempts on this transport that never opened
+  let server = { url: "https://ntfy.sh", token: "", username: "", password: "" };
+  let topics = []; // request topics
+  let replyTopics = []; // reply topics watched for answers from other devices
+  let secrets = {}; // topic → E2E shared secret (request and reply topics)
+  let machineKeys = {}; // topic → HMAC key of the machine publishing on it
+  let device = null; // {id, key} — signs replies
   let reconnectDelay = 1000;
   let reconnectTimer = null;
   let intentionalClose = false;
   let onMessageCallback = null;
   let onStatusCallback = null;
+  let onErrorCallback = null;
+  let onReplyCallback = null;
+  let authFailed = false; // 401/403 seen — stop reconnecting until settings change
   let lastSince = null; // Unix timestamp of last received message (persisted)
-  let watchdogTimer = null; // Force reconnect if no WS activity for WATCHDOG_MS
+  let watchdogTimer = null; // Force reconnect if no activity for WATCHDOG_MS
   let connectingTimer = null; // Abort stuck CONNECTING state
+  let upgradeTimer = null; // Try WebSocket again while on a fallback transport
+  let currentStatus = "disconnected";
+  const pendingPings = new Map(); // message text → resolve(receivedAt)
+  let processing = Promise.resolve(); // messages are handled one at a time, in arrival order
+
+  // Diagnostics: what the connection has been doing (see diagnostics())
+  const diag = {
+    connects: 0, // connection attempts (any transport)
+    reconnects: 0, // scheduled reconnects after a close
+    watchdogFires: 0,
+    nextRetryAt: null,
+    openedAt: null,
+    lastKeepalive: null,
+    lastMessage: null,
+    lastFetch: null, // {time, status, count} — status null if the request failed
+    lastClose: null, // {time, code, reason}
+  };
+  const errors = []; // newest first: {time, source, status, message}
 
   const MAX_RECONNECT_DELAY = 10000; // Max 10s backoff (was 30s)
   const WATCHDOG_MS = 55000;         // ntfy.sh sends keepalive every ~45s
   const CONNECTING_TIMEOUT_MS = 10000; // Abort if stuck in CONNECTING for 10s
+  const TRANSPORTS = ["websocket", "sse", "poll"];
+  const FALLBACK_AFTER = 2; // failed attempts before trying the next transport
+  const POLL_INTERVAL_MS = 15000;
+  const UPGRADE_AFTER_MS = 10 * 60000; // on a fallback transport, retry WebSocket after this
   const SINCE_KEY = "claude_mobile_since";
+  const DEFAULT_SERVER = "https://ntfy.sh";
+  const MAX_ERRORS = 20;
+  const PING_TAG = "claude-mobile-ping"; // test messages from the diagnostics screen
+  const PING_TIMEOUT_MS = 15000;
+  const PING_RETRY_MS = 500;
 
-  function _loadLastSince() {
-    try {
-      const v = localStorage.getItem(SINCE_KEY);
-      if (v) lastSince = parseInt(v, 10);
-    } catch { /* ignore */ }
+  /**
+   * Normalize a user-entered server URL: default to ntfy.sh, assume https,
+   * strip trailing slashes.
+   */
+  function normalizeServer(url) {
+    let u = (url || "").trim();
+    if (!u) return DEFAULT_SERVER;
+    if (!/^https?:\/\//i.test(u)) u = "https://" + u;
+    return u.replace(/\/+$/, "");
   }
 
-  function _saveLastSince(ts) {
-    if (!lastSince || ts > lastSince) {
-      lastSince = ts;
-      try { localStorage.setItem(SINCE_KEY, String(ts)); } catch { /* ignore */ }
-    }
+  /** UTF-8 safe base64 (btoa only handles Latin-1). */
+  function _base64(str) {
+    const bytes = new TextEncoder().encode(str);
+    return btoa(String.fromCharCode(...bytes));
   }
 
   /**
-   * Detect notification type from ntfy.sh message tags.
-   * @param {object} msg — parsed ntfy.sh message
-   * @returns {string} — done|decision|approve|permission|choice
+   * Build the Authorization header value for a server config.
+   * Access token wins over username/password. Returns "" for anonymous access.
    */
-  function detectType(msg) {
-    const tags = msg.tags || [];
-    const title = msg.title || "";
-    if (tags.includes("lock")) return "permission";
-    if (tags.includes("point_right")) return "choice";
-    if (tags.includes("question")) return "approve";
-    if (tags.includes("white_check_mark")) return "done";
-    if (tags.includes("warning")) return "decision";
-    // Fallback: detect from title
-    if (title.includes("Permission")) return "permission";
-    if (title.includes("Vyber")) return "choice";
-    if (title.includes("Schvaleni")) return "approve";
-    if (title.includes("Hotovo")) return "done";
-    return "decision";
+  function authHeader(srv) {
+    if (srv.token) return `Bearer ${srv.token}`;
+    if (srv.username) return `Basic ${_base64(`${srv.username}:${srv.password || ""}`)}`;
+    return "";
+  }
+
+  /** Request headers carrying auth for a server config (empty object if anonymous). */
+  function authHeaders(srv) {
+    const value = authHeader(srv);
+    return value ? { Authorization: value } : {};
+  }
+
+  /** Absolute HTTP(S) URL for a path on the configured server. */
+  function httpUrl(srv, path) {
+    return `${normalizeServer(srv.url)}/${path}`;
   }
 
   /**
-   * Extract action buttons from ntfy.sh message.
-   * Returns array of {label, body} for response buttons.
+   * Streaming URL for a path. Browsers can't set headers on WebSocket or
+   * EventSource, so auth goes in the `auth` query param (base64url of the
+   * header, no padding).
    */
-  function extractActions(msg) {
-    if (!msg.actions || !Array.isArray(msg.actions)) return [];
-    return msg.actions
-      .filter((a) => a.action === "http")
-      .map((a) => ({ label: a.label, body: a.body }));
+  function _streamUrl(path, { websocket = false } = {}) {
+    const url = websocket ? httpUrl(server, path).replace(/^http/i, "ws") : httpUrl(server, path);
+    const value = authHeader(server);
+    if (!value) return url;
+    const param = _base64(value).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    return `${url}?auth=${param}`;
+  }
+
+  /** Remember an error for the diagnostics screen (most are otherwise swallowed). */
+  function _logError(source, message, httpStatus = null) {
+    errors.unshift({ time: new Date(), source, status: httpStatus, message });
+    errors.length = Math.min(errors.length, MAX_ERRORS);
   }
 
   /**
-   * Extract REQ_ID from action body (pattern: "OK_1234567890").
+   * Report an HTTP error to the app.
+   * 401/403 on the subscription are fatal until credentials change —
+   * further reconnects would just fail again.
    */
-  function extractReqId(actions) {
-    if (!actions.length) return null;
-    const match = actions[0].body.match(/_(\d+)$/);
-    return match ? match[1] : null;
+  function _reportError(status, message, onSubscription) {
+    _logError(onSubscription ? "fetch" : "publish", message, status);
+    if (onSubscription && (status === 401 || status === 403)) {
+      authFailed = true;
+      if (reconnectTimer) clearTimeout(reconnectTimer);
+      if (conn) conn.close();
+      setStatus("unauthorized");
+    }
+    if (onErrorCallback) onErrorCallback({ status, message });
   }
 
-  function setStatus(status) {
-    if (onStatusCallback) onStatusCallback(status);
+  function _httpError(status, action) {
+    if (status === 401) return I18n.t("ntfy.unauthorized", { action });
+    if (status === 403) return I18n.t("ntfy.forbidden", { action });
+    return I18n.t("ntfy.failed", { action, status });
+  }
+
+  function _loadLastSince() {
+    try {
+      const v = localStorage.getItem(SINCE_KEY);
+      if (v) lastSince = parseInt(v, 10);
+    } catch { /* ignore */ }
   }
 
-  /** Reset watchdog timer — call on every WS activity (open, message, keepalive). */
+  function _saveLastSince(ts) {
+    if (!lastSince || ts > lastSince) {
+      lastSince = ts;
+      try { localStorage.setItem(SINCE_KEY, String(ts)); } catch { /* ignore */ }
+    }
+  }
+
+  /** Report the connection status, with the transport in use (or being tried). */
+  function setStatus(value) {
+    currentStatus = value;
+    if (onStatusCallback) onStatusCallback(value, TRANSPORTS[transport]);
+  }
+
+  /** Reset watchdog timer — call on every activity (open, message, keepalive, successful poll). */
   function _resetWatchdog() {
     if (watchdogTimer) clearTimeout(watchdogTimer);
     watchdogTimer = setTimeout(() => {
       // No activity for WATCHDOG_MS — connection is stale, force reconnect
-      if (ws) ws.close();
+      diag.watchdogFires++;
+      _logError("watchdog", I18n.t("ntfy.stale", { seconds: WATCHDOG_MS / 1000 }));
+      if (conn) conn.close();
     }, WATCHDOG_MS);
   }
 
@@ -98,27 +184,46 @@ const Ntfy = (() => {
   }
 
   function _forceReconnect() {
+    if (authFailed) return;
     if (reconnectTimer) clearTimeout(reconnectTimer);
     reconnectDelay = 1000;
-    // If WS is already open, just fetch recent messages (no reconnect needed)
-    if (ws && ws.readyState === WebSocket.OPEN) {
+    // If already connected, just fetch recent messages (no reconnect needed)
+    if (conn && conn.state === "open") {
       _fetchRecent();
       return;
     }
     _connect();
   }
 
+  /**
+   * Back to WebSocket from a fallback transport: whatever kept it from working
+   * (another network, a proxy) may be gone. Falls back again if it still fails.
+   */
+  function _retryWebSocket() {
+    if (upgradeTimer) { clearTimeout(upgradeTimer); upgradeTimer = null; }
+    if (!transport || intentionalClose || authFailed) return;
+    transport = 0;
+    failures = 0;
+    // Drop the fallback connection quietly (its close is ignored once it isn't `conn`)
+    _clearWatchdog();
+    const old = conn;
+    conn = null;
+    if (old) old.close();
+    _forceReconnect();
+  }
+
   // Named event handlers (prevent listener accumulation on reconnect)
   function _onVisibilityChange() {
     if (document.visibilityState === "visible" && !intentionalClose) {
-      if (!ws || ws.readyState === WebSocket.CLOSED || ws.readyState === WebSocket.CLOSING) {
-        _forceReconnect();
-      }
+      if (transport) _retryWebSocket();
+      else if (!conn) _forceReconnect();
     }
   }
 
   function _onOnline() {
-    if (!intentionalClose) _forceReconnect();
+    if (intentionalClose) return;
+    if (transport) _retryWebSocket();
+    else _forceReconnect();
   }
 
   function _onSwMessage(e) {
@@ -129,12 +234,40 @@ const Ntfy = (() => {
 
   let _listenersAttached = false;
 
+  /**
+   * Set the server (URL + credentials), E2E secrets and signing keys without
+   * connecting. Used by the service worker, which only publishes replies.
+   * @param {object} cfg — {server: {url, token, username, password},
+   *   secrets: {topic: secret}, machineKeys: {topic: hexKey}, device: {id, key}}
+   */
+  function configure(cfg) {
+    server = { ...server, ...cfg.server, url: normalizeServer(cfg.server && cfg.server.url) };
+    secrets = { ...cfg.secrets };
+    machineKeys = { ...cfg.machineKeys };
+    device = cfg.device || null;
+  }
+
+  /**
+   * Subscribe to one or more topics on one connection.
+   * @param {object} cfg — {server, topics: string[], replyTopics: string[], secrets,
+   *   machineKeys, device, onMessage, onReply, onStatus, onError}
+   *   Replies seen on `replyTopics` go to onReply({id, topic, time, answeredWith, reqId, deviceId, body}),
+   *   body being the decrypted text (for Sign.verifyReply).
+   */
   function connect(cfg) {
-    topic = cfg.topic;
-    replyTopic = cfg.replyTopic;
+    configure(cfg);
+    topics = [...new Set(cfg.topics.filter(Boolean))];
+    replyTopics = [...new Set((cfg.replyTopics || []).filter((t) => t && !topics.includes(t)))];
     onMessageCallback = cfg.onMessage;
+    onReplyCallback = cfg.onReply || null;
     onStatusCallback = cfg.onStatus;
+    onErrorCallback = cfg.onError || null;
     intentionalClose = false;
+    authFailed = false;
+    // New settings (or a restart): try WebSocket again
+    transport = 0;
+    failures = 0;
+    if (upgradeTimer) { clearTimeout(upgradeTimer); upgradeTimer = null; }
     _loadLastSince();
     _connect();
 
@@ -148,80 +281,249 @@ const Ntfy = (() => {
     }
   }
 
+  /** Comma-separated topic list of the one multi-topic stream. */
+  function _streamTopics() {
+    return [...topics, ...replyTopics].join(",");
+  }
+
   function _connect() {
-    if (ws && (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING)) {
+    if (authFailed) return;
+    if (!topics.length) {
+      setStatus("disconnected");
       return;
     }
+    if (conn) return; // connecting or open
 
     setStatus("reconnecting");
+    diag.connects++;
+    diag.nextRetryAt = null;
 
-    // Open WebSocket immediately — no gap between history fetch and live stream.
-    // Any message arriving during the fetch is caught by WS; deduplication handles overlaps.
-    ws = new WebSocket(`wss://ntfy.sh/${topic}/ws`);
+    // Open the stream immediately — no gap between history fetch and live stream.
+    // Any message arriving during the fetch is caught by the stream; deduplication handles overlaps.
+    const attempt = _open(TRANSPORTS[transport]);
 
     // Abort if stuck in CONNECTING state (flaky mobile network)
     if (connectingTimer) clearTimeout(connectingTimer);
     connectingTimer = setTimeout(() => {
-      if (ws && ws.readyState === WebSocket.CONNECTING) {
-        ws.close();
+      if (attempt.state === "connecting") {
+        _logError(attempt.name, I18n.t("ntfy.connectTimeout", { seconds: CONNECTING_TIMEOUT_MS / 1000 }));
+        attempt.close();
       }
     }, CONNECTING_TIMEOUT_MS);
 
-    ws.onopen = () => {
-      if (connectingTimer) { clearTimeout(connectingTimer); connectingTimer = null; }
+    // Fetch missed messages in parallel (deduplication handles overlaps); polling fetches anyway
+    if (attempt.name !== "poll") _fetchRecent();
+  }
+
+  /**
+   * Start a connection attempt on a transport. The transport reports through
+   * the handlers below; callbacks of an attempt that has been replaced are ignored.
+   */
+  function _open(name) {
+    const attempt = { name, state: "connecting", close: () => {} };
+    const handlers = {
+      open() {
+        if (conn !== attempt || attempt.state !== "connecting") return;
+        attempt.state = "open";
+        if (connectingTimer) { clearTimeout(connectingTimer); connectingTimer = null; }
+        reconnectDelay = 1000;
+        failures = 0;
+        diag.openedAt = new Date();
+        setStatus("connected");
+        _resetWatchdog();
+        if (transport && !upgradeTimer) upgradeTimer = setTimeout(_retryWebSocket, UPGRADE_AFTER_MS);
+      },
+      // Any activity resets the stale-connection watchdog
+      keepalive() {
+        if (conn !== attempt) return;
+        diag.lastKeepalive = new Date();
+        _resetWatchdog();
+      },
+      /** One JSON event from a stream: message, or open/keepalive. */
+      data(text) {
+        if (conn !== attempt) return;
+        _resetWatchdog();
+        try {
+          const msg = JSON.parse(text);
+          if (msg.event && msg.event !== "message") {
+            diag.lastKeepalive = new Date();
+            return;
+          }
+          diag.lastMessage = new Date();
+          _enqueue(msg);
+        } catch { /* ignore parse errors */ }
+      },
+      closed(code = null, reason = "") {
+        if (attempt.state === "closed") return;
+        const wasOpen = attempt.state === "open";
+        attempt.state = "closed";
+        if (conn !== attempt) return;
+        conn = null;
+        _onClosed(name, wasOpen, code, reason);
+      },
+    };
+    conn = attempt;
+    attempt.close = OPENERS[name](handlers);
+    return attempt;
+  }
+
+  function _onClosed(name, wasOpen, code, reason) {
+    _clearWatchdog();
+    if (connectingTimer) { clearTimeout(connectingTimer); connectingTimer = null; }
+    diag.lastClose = { time: new Date(), code, reason };
+    if (intentionalClose || authFailed) return;
+    _logError(name, code == null ? I18n.t("ntfy.lost") : I18n.t("ntfy.closed", { code }));
+    // Never got through on this transport (e.g. a proxy blocking WebSocket): try the next one.
+    // Offline, every transport fails — that says nothing about this one.
+    if (!wasOpen && navigator.onLine !== false && ++failures >= FALLBACK_AFTER && transport < TRANSPORTS.length - 1) {
+      transport++;
+      failures = 0;
       reconnectDelay = 1000;
-      setStatus("connected");
-      _resetWatchdog();
+      _logError(name, I18n.t("ntfy.fallback", { from: I18n.t(`transport.${name}`), to: I18n.t(`transport.${TRANSPORTS[transport]}`) }));
+    }
+    setStatus("disconnected");
+    _scheduleReconnect();
+  }
+
+  // ── Transports ──
+  // Each opener starts connecting, reports through the handlers and returns a
+  // close function; handlers.closed() must follow every close, whatever the cause.
+
+  function _openWebSocket(handlers) {
+    const socket = new WebSocket(_streamUrl(`${_streamTopics()}/ws`, { websocket: true }));
+    socket.onopen = () => handlers.open();
+    socket.onmessage = (event) => handlers.data(event.data);
+    socket.onclose = (event) => handlers.closed(event ? event.code : null, (event && event.reason) || "");
+    socket.onerror = () => {
+      // onclose will fire after onerror
     };
+    return () => socket.close();
+  }
 
-    ws.onmessage = (event) => {
-      _resetWatchdog(); // any WS activity resets the stale-connection watchdog
-      try {
-        const msg = JSON.parse(event.data);
-        // Skip keepalive/open events (but still reset watchdog above)
-        if (msg.event && msg.event !== "message") return;
-        _processMessage(msg);
-      } catch { /* ignore parse errors */ }
+  function _openEventSource(handlers) {
+    const source = new EventSource(_streamUrl(`${_streamTopics()}/sse`));
+    source.onopen = () => handlers.open();
+    source.onmessage = (event) => handlers.data(event.data);
+    // ntfy sends open/keepalive as named events
+    source.addEventListener("keepalive", () => handlers.keepalive());
+    // EventSource would retry on its own; close it and use our backoff instead
+    source.onerror = () => {
+      source.close();
+      handlers.closed();
+    };
+    return () => {
+      source.close();
+      handlers.closed();
     };
+  }
 
-    ws.onclose = () => {
-      _clearWatchdog();
-      if (!intentionalClose) {
-        setStatus("disconnected");
-        _scheduleReconnect();
+  /** No stream at all: fetch new messages every POLL_INTERVAL_MS. */
+  function _openPoll(handlers) {
+    let timer = null;
+    let stopped = false;
+    const poll = async () => {
+      const ok = await _fetchRecent();
+      if (stopped) return;
+      if (!ok) {
+        stopped = true;
+        handlers.closed();
+        return;
       }
+      handlers.open();
+      handlers.keepalive();
+      timer = setTimeout(poll, POLL_INTERVAL_MS);
     };
-
-    ws.onerror = () => {
-      // onclose will fire after onerror
+    poll();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      handlers.closed();
     };
+  }
+
+  const OPENERS = { websocket: _openWebSocket, sse: _openEventSource, poll: _openPoll };
 
-    // Fetch missed messages in parallel (deduplication handles WS overlaps)
-    _fetchRecent();
+  /**
+   * Decrypt title/message of an E2E-encrypted ntfy message.
+   * @returns {Promise<{msg: object, failed: boolean}>} — copy with plaintext fields;
+   *   on failure the encrypted fields are blanked and `failed` is set
+   */
+  async function decryptMessage(msg, secret) {
+    if (!E2E.isEncrypted(msg.title) && !E2E.isEncrypted(msg.message)) {
+      return { msg, failed: false };
+    }
+    try {
+      const [title, message] = await Promise.all([
+        E2E.decrypt(secret, msg.title || ""),
+        E2E.decrypt(secret, msg.message || ""),
+      ]);
+      return { msg: { ...msg, title, message }, failed: false };
+    } catch {
+      const blank = (text) => (E2E.isEncrypted(text) ? "" : text);
+      return { msg: { ...msg, title: blank(msg.title), message: blank(msg.message) }, failed: true };
+    }
+  }
+
+  /** An answer published on a reply topic (by this or another device, or the hook). */
+  async function _processReply(raw) {
+    const { msg, failed } = await decryptMessage(raw, secrets[raw.topic]);
+    const reply = failed ? null : Sign.parseReply(msg.message);
+    if (!reply || !onReplyCallback) return;
+    onReplyCallback({
+      ...reply,
+      id: msg.id,
+      topic: msg.topic,
+      body: msg.message,
+      time: msg.time ? new Date(msg.time * 1000) : new Date(),
+    });
   }
 
-  function _processMessage(msg) {
-    const type = detectType(msg);
-    const actions = extractActions(msg);
-    const reqId = extractReqId(actions);
+  /** Test message published by ping() (on any device): never a notification. */
+  function isPing(msg) {
+    return Array.isArray(msg.tags) && msg.tags.includes(PING_TAG);
+  }
+
+  async function _processMessage(raw) {
+    if (raw.time) _saveLastSince(raw.time);
+    if (isPing(raw)) {
+      const resolve = pendingPings.get(raw.message);
+      if (resolve) resolve(Date.now());
+      return;
+    }
+    if (replyTopics.includes(raw.topic)) return _processReply(raw);
+    const { msg, failed } = await decryptMessage(raw, secrets[raw.topic]);
+    const request = Protocol.parse(msg);
+    // Signature check only for profiles with a machine key (opt-in); it covers
+    // the title/message as published, i.e. the JSON payload for protocol messages
+    const machineKey = machineKeys[raw.topic];
+    const signature = machineKey && !failed ? await Sign.verifyRequest(msg, request.reqId, machineKey) : null;
 
     const notification = {
       id: msg.id || String(Date.now()),
-      type,
-      title: msg.title || "",
-      message: msg.message || "",
+      topic: msg.topic || topics[0],
+      ...request,
       time: msg.time ? new Date(msg.time * 1000) : new Date(),
       priority: msg.priority || 3,
-      actions,
-      reqId,
       answered: false,
       answeredWith: null,
+      decryptFailed: failed,
+      signature,
     };
 
-    if (msg.time) _saveLastSince(msg.time);
     if (onMessageCallback) onMessageCallback(notification);
   }
 
+  /**
+   * Queue a message behind the ones still being decrypted/verified, so callbacks
+   * fire in arrival order and a failure is logged instead of going unhandled.
+   */
+  function _enqueue(raw) {
+    processing = processing
+      .then(() => _processMessage(raw))
+      .catch((err) => _logError("message", err.message));
+  }
+
+  /** Fetch messages since the last one seen. @returns {Promise<boolean>} — false on any error */
   async function _fetchRecent() {
     try {
       // Use persisted lastSince (minus 5s overlap) or fall back to 1 hour.
@@ -229,25 +531,39 @@ const Ntfy = (() => {
       const fallback = Math.floor(Date.now() / 1000) - 3600;
       const since = lastSince ? Math.max(lastSince - 5, fallback) : fallback;
       const res = await fetch(
-        `https://ntfy.sh/${topic}/json?poll=1&since=${since}`
+        httpUrl(server, `${_streamTopics()}/json?poll=1&since=${since}`),
+        { headers: authHeaders(server) }
       );
-      if (!res.ok) return;
+      if (!res.ok) {
+        diag.lastFetch = { time: new Date(), status: res.status, count: 0 };
+        _reportError(res.status, _httpError(res.status, I18n.t("ntfy.fetching")), true);
+        return false;
+      }
       const text = await res.text();
       const lines = text.trim().split("\n").filter(Boolean);
+      diag.lastFetch = { time: new Date(), status: res.status, count: lines.length };
       for (const line of lines) {
         try {
           const msg = JSON.parse(line);
           if (msg.event && msg.event !== "message") continue;
-          _processMessage(msg);
+          _enqueue(msg);
         } catch { /* skip bad lines */ }
       }
-    } catch { /* fetch failed, continue with WS */ }
+      return true;
+    } catch (err) {
+      // fetch failed, continue with the stream
+      diag.lastFetch = { time: new Date(), status: null, count: 0 };
+      _logError("fetch", err.message);
+      return false;
+    }
   }
 
   function _scheduleReconnect() {
     if (reconnectTimer) clearTimeout(reconnectTimer);
     // Add jitter (0.5x–1.5x) to prevent thundering herd on server recovery
     const jitter = reconnectDelay * (0.5 + Math.random());
+    diag.reconnects++;
+    diag.nextRetryAt = new Date(Date.now() + jitter);
     reconnectTimer = setTimeout(() => {
       reconnectDelay = Math.min(reconnectDelay * 2, MAX_RECONNECT_DELAY);
       _connect();
@@ -255,28 +571,136 @@ const Ntfy = (() => {
   }
 
   /**
-   * Send a response to the reply topic.
-   * @param {string} body — e.g. "OK_1234567890"
+   * Send a response to a reply topic — signed with the device key, then
+   * encrypted if the profile has a shared secret.
+   * @param {string|object} reply — e.g. "OK_1234567890", or a structured reply
+   *   {v, id, reqId, choice, text} (published as JSON, see sign.js)
+   * @param {string} replyTopic — reply topic of the profile the request came from
+   * @returns {Promise<boolean>} — false on network or HTTP error
    */
-  async function respond(body) {
+  async function respond(reply, replyTopic) {
+    if (!replyTopic) return false;
     try {
-      await fetch(`https://ntfy.sh/${replyTopic}`, {
+      let body;
+      if (typeof reply === "string") {
+        body = device ? await Sign.signReply(device, reply) : reply;
+      } else {
+        body = JSON.stringify(device ? await Sign.signStructuredReply(device, reply) : reply);
+      }
+      // Replies are encrypted the same way as the requests on that profile
+      if (secrets[replyTopic]) body = await E2E.encrypt(secrets[replyTopic], body);
+      const res = await fetch(httpUrl(server, replyTopic), {
         method: "POST",
+        headers: authHeaders(server),
         body,
       });
+      if (!res.ok) {
+        _reportError(res.status, _httpError(res.status, I18n.t("ntfy.sending")));
+        return false;
+      }
       return true;
-    } catch {
+    } catch (err) {
+      _logError("publish", err.message);
       return false;
     }
   }
 
+  /**
+   * Publish a test message to a request topic and wait for it to come back on
+   * the subscription (or, without an open connection, by polling the topic).
+   * Tagged, so that no device shows it as a notification.
+   * @returns {Promise<number>} — round-trip time in ms
+   * @throws {Error} — HTTP error (401/403 as an access error), or nothing
+   *   received within PING_TIMEOUT_MS
+   */
+  async function ping(topic) {
+    const nonce = `ping ${Sign.randomHex(8)}`;
+    let received = false;
+    const back = new Promise((resolve) => pendingPings.set(nonce, (time) => {
+      received = true;
+      resolve(time);
+    }));
+    const sentAt = Date.now();
+    try {
+      const res = await fetch(httpUrl(server, topic), {
+        method: "POST",
+        headers: { ...authHeaders(server), "X-Tags": PING_TAG, "X-Priority": "1" },
+        body: nonce,
+      }).catch((err) => {
+        _logError("publish", err.message);
+        throw err;
+      });
+      if (!res.ok) {
+        const message = _httpError(res.status, I18n.t("ntfy.testing"));
+        _logError("publish", message, res.status);
+        throw new Error(message);
+      }
+      while (!received && Date.now() - sentAt < PING_TIMEOUT_MS) {
+        // The stream delivers it on its own; polling and no connection need a fetch
+        if (!conn || conn.state !== "open" || conn.name === "poll") await _pollPing(topic, sentAt);
+        await Promise.race([back, new Promise((resolve) => setTimeout(resolve, PING_RETRY_MS))]);
+      }
+      if (received) return (await back) - sentAt;
+      if (authFailed) throw new Error(I18n.t("ntfy.pingNoAccess"));
+      throw new Error(I18n.t("ntfy.pingTimeout", { seconds: PING_TIMEOUT_MS / 1000 }));
+    } finally {
+      pendingPings.delete(nonce);
+    }
+  }
+
+  /** Read a topic's messages since a ping was sent; a ping among them resolves its wait. */
+  async function _pollPing(topic, sentAt) {
+    const since = Math.floor(sentAt / 1000) - 5;
+    const res = await fetch(httpUrl(server, `${topic}/json?poll=1&since=${since}`), { headers: authHeaders(server) }).catch((err) => {
+      _logError("fetch", err.message);
+      throw err;
+    });
+    if (!res.ok) {
+      const message = _httpError(res.status, I18n.t("ntfy.testing"));
+      _logError("fetch", message, res.status);
+      throw new Error(message);
+    }
+    for (const line of (await res.text()).trim().split("\n").filter(Boolean)) {
+      try {
+        const msg = JSON.parse(line);
+        const resolve = isPing(msg) && pendingPings.get(msg.message);
+        if (resolve) resolve(Date.now());
+      } catch { /* skip bad lines */ }
+    }
+  }
+
+  /** Snapshot of the connection state for the diagnostics screen. */
+  function diagnostics() {
+    return {
+      ...diag,
+      status: currentStatus,
+      transport: TRANSPORTS[transport],
+      readyState: conn ? conn.state : null,
+      server: server.url,
+      topics: [...topics],
+      replyTopics: [...replyTopics],
+      reconnectDelay,
+      authFailed,
+      lastSince: lastSince ? new Date(lastSince * 1000) : null,
+      errors: [...errors],
+    };
+  }
+
   function disconnect() {
     intentionalClose = true;
     _clearWatchdog();
     if (reconnectTimer) clearTimeout(reconnectTimer);
-    if (ws) ws.close();
+    if (connectingTimer) { clearTimeout(connectingTimer); connectingTimer = null; }
+    if (upgradeTimer) { clearTimeout(upgradeTimer); upgradeTimer = null; }
+    // Forget the attempt right away: a connect() may follow before it has closed
+    const old = conn;
+    conn = null;
+    if (old) old.close();
     setStatus("disconnected");
   }
 
-  return { connect, disconnect, respond, detectType, extractActions, extractReqId };
+  return {
+    configure, connect, disconnect, respond, ping, isPing, diagnostics,
+    decryptMessage, normalizeServer, authHeaders, httpUrl,
+  };
 })();
@@ -0,0 +1,74 @@
+"use strict";
+
+/**
+ * outbox.js — Replies that couldn't be sent, kept until the connection is back.
+ * Shared by the app (queues, and flushes where Background Sync is missing) and
+ * the service worker (flushes on the "sync" event).
+ * Entries: {id: notification ID, body: unsigned reply (string or structured),
+ * replyTopic, queuedAt}.
+ * Bodies are signed and encrypted when actually sent, so the signature is fresh.
+ */
+const Outbox = (() => {
+  const SYNC_TAG = "outbox";
+  const REPLY_TTL_MS = 15 * 60 * 1000; // hooks have stopped waiting long before this
+
+  /** The hook's deadline (protocol `expires`) or REPLY_TTL_MS after the request passed. */
+  function _expired(record) {
+    if (record.expiresAt) return new Date(record.expiresAt).getTime() <= Date.now();
+    return Date.now() - new Date(record.time).getTime() > REPLY_TTL_MS;
+  }
+
+  function add(entry) {
+    return DB.put("outbox", { ...entry, queuedAt: Date.now() });
+  }
+
+  function remove(id) {
+    return DB.del("outbox", id);
+  }
+
+  function count() {
+    return DB.count("outbox");
+  }
+
+  /**
+   * Try to send every queued reply (Ntfy must be configured).
+   * Replies to requests answered elsewhere (or no longer queued) and to expired
+   * requests are dropped; expired ones go back to unanswered with `expired` set.
+   * @param {function(string, string, object|null)} [onResult] — (outcome, id, record),
+   *   outcome = sent|answered|expired
+   * @returns {Promise<number>} — replies still queued (send failed again)
+   */
+  async function flush(onResult) {
+    const entries = await DB.getAll("outbox");
+    let remaining = 0;
+    for (const entry of entries) {
+      const record = await Store.get(entry.id).catch(() => null);
+      let outcome;
+      if (!record || !record.queued || record.answeredElsewhere) {
+        outcome = "answered";
+      } else if (_expired(record)) {
+        outcome = "expired";
+      } else if (await Ntfy.respond(entry.body, entry.replyTopic)) {
+        outcome = "sent";
+      } else {
+        remaining++;
+        continue;
+      }
+
+      await remove(entry.id);
+      let updated = record;
+      if (outcome === "sent") {
+        updated = await Store.update(entry.id, { queued: false });
+      } else if (outcome === "expired") {
+        updated = await Store.update(entry.id, {
+          answered: false, answeredWith: null, answeredAt: null, replyText: null, autoRule: null,
+          queued: false, expired: true,
+        });
+      }
+      if (onResult) onResult(outcome, entry.id, updated);
+    }
+    return remaining;
+  }
+
+  return { SYNC_TAG, add, remove, count, flush };
+})();
@@ -0,0 +1,142 @@
+"use strict";
+
+/**
+ * pair.js — Device pairing: the server, credentials and profiles (topics,
+ * secrets) packed into a link that another device opens or scans as a QR code.
+ *
+ * The sending device's reply key is included too, so the new device trusts the
+ * answers it sees from it on the reply topics.
+ *
+ * The configuration travels in the URL fragment (#pair=…), which browsers
+ * never send to a server. It is not encrypted: whoever sees the code gets the
+ * credentials, so the app shows it on request only and asks before applying one.
+ */
+const Pair = (() => {
+  const PARAM = "pair";
+  const VERSION = 1;
+  const MAX_PROFILES = 20;
+  const SCAN_INTERVAL_MS = 300;
+  // ntfy topic names
+  const TOPIC_RE = /^[-_A-Za-z0-9]{1,64}$/;
+  const DEVICE_RE = /^([-_A-Za-z0-9]{1,32}):([0-9a-f]{64})$/;
+
+  function _toBase64Url(text) {
+    let bin = "";
+    for (const b of new TextEncoder().encode(text)) bin += String.fromCharCode(b);
+    return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  function _fromBase64Url(b64) {
+    const bin = atob(b64.replace(/-/g, "+").replace(/_/g, "/"));
+    return new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0)));
+  }
+
+  /** Copy the set, non-empty string fields of `obj`. */
+  function _compact(obj, keys) {
+    const out = {};
+    for (const key of keys) {
+      if (typeof obj[key] === "string" && obj[key]) out[key] = obj[key];
+    }
+    return out;
+  }
+
+  /**
+   * Pairing link that configures another device like this one.
+   * @param {object} config — {server: {url, token, username, password}, profiles, device: {id, key}}
+   * @param {string} appUrl — URL of the app (any fragment is replaced)
+   */
+  function link(config, appUrl) {
+    const payload = {
+      v: VERSION,
+      server: config.server.url,
+      ..._compact(config.server, ["token", "username", "password"]),
+      profiles: config.profiles
+        .filter((p) => p.topic)
+        .map((p) => _compact(p, ["name", "topic", "replyTopic", "secret", "machineKey", "color"])),
+    };
+    if (config.device) payload.device = `${config.device.id}:${config.device.key}`;
+    return `${appUrl.split("#")[0]}#${PARAM}=${_toBase64Url(JSON.stringify(payload))}`;
+  }
+
+  /**
+   * Read a pairing link, or just the code after "#pair=".
+   * @returns {{server: string, token: string, username: string, password: string,
+   *   profiles: object[], device: {id, key}|null}|null} — null if it isn't a usable pairing payload
+   */
+  function parse(text) {
+    const match = /(?:#|^)pair=([-_A-Za-z0-9]+)/.exec(String(text || "").trim());
+    let doc;
+    try {
+      doc = JSON.parse(_fromBase64Url(match ? match[1] : String(text || "").trim()));
+    } catch {
+      return null;
+    }
+    if (!doc || typeof doc !== "object" || !(doc.v <= VERSION)) return null;
+    if (typeof doc.server !== "string" || !/^https?:\/\/[^\s/]+/i.test(doc.server)) return null;
+    if (!Array.isArray(doc.profiles) || !doc.profiles.length || doc.profiles.length > MAX_PROFILES) return null;
+    const profiles = doc.profiles.map((p) => _compact(p || {}, ["name", "topic", "replyTopic", "secret", "machineKey", "color"]));
+    if (!profiles.every((p) => TOPIC_RE.test(p.topic || "") && (!p.replyTopic || TOPIC_RE.test(p.replyTopic)))) return null;
+    const device = typeof doc.device === "string" ? doc.device.match(DEVICE_RE) : null;
+    return {
+      server: doc.server,
+      token: typeof doc.token === "string" ? doc.token : "",
+      username: typeof doc.username === "string" ? doc.username : "",
+      password: typeof doc.password === "string" ? doc.password : "",
+      profiles,
+      device: device ? { id: device[1], key: device[2] } : null,
+    };
+  }
+
+  // ── Scanning ──
+
+  /** Can this browser read QR codes from the camera (BarcodeDetector + getUserMedia)? */
+  async function scanSupported() {
+    if (typeof BarcodeDetector === "undefined" || !navigator.mediaDevices) return false;
+    try {
+      return (await BarcodeDetector.getSupportedFormats()).includes("qr_code");
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Show the rear camera in `video` and look for a pairing QR code; other
+   * codes are ignored.
+   * @param {HTMLVideoElement} video
+   * @param {function(object)} onPayload — called once with the parsed payload
+   * @returns {Promise<function>} — stops scanning and releases the camera
+   */
+  async function scan(video, onPayload) {
+    const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" }, audio: false });
+    const detector = new BarcodeDetector({ formats: ["qr_code"] });
+    let stopped = false;
+    let timer = null;
+    const stop = () => {
+      stopped = true;
+      clearTimeout(timer);
+      for (const track of stream.getTracks()) track.stop();
+      video.srcObject = null;
+    };
+    video.srcObject = stream;
+    await video.play().catch(() => {});
+
+    const tick = async () => {
+      if (stopped) return;
+      try {
+        for (const code of await detector.detect(video)) {
+          const payload = parse(code.rawValue);
+          if (payload) {
+            stop();
+            onPayload(payload);
+            return;
+          }
+        }
+      } catch { /* frame not ready yet */ }
+      timer = setTimeout(tick, SCAN_INTERVAL_MS);
+    };
+    tick();
+    return stop;
+  }
+
+  return { PARAM, link, parse, scanSupported, scan };
+})();
@@ -0,0 +1,276 @@
+"use strict";
+
+/**
+ * protocol.js — Turns a (decrypted) ntfy message into request fields.
+ * Hooks that speak the versioned JSON protocol (PROTOCOL.md) put the payload
+ * in the message body; anything else goes through the legacy heuristics
+ * (emoji tags, Czech title fragments, action bodies, "**A: ...**" lines).
+ * Shared by the app (ntfy.js) and the service worker.
+ */
+const Protocol = (() => {
+  const NAME = "claude-mobile";
+  const VERSION = 1;
+  const TYPES = ["done", "decision", "approve", "permission", "choice"];
+  const ACTIONABLE = ["approve", "permission", "choice"];
+  const RISKS = ["low", "medium", "high"];
+  const CATEGORIES = ["git", "python", "file", "docker", "network", "node", "other"];
+
+  // Legacy command classification when the hook didn't label the command
+  const CATEGORY_PATTERNS = [
+    ["git", /^(git|gh)\b/],
+    ["python", /^(python3?|pip3?|pytest|uv|poetry)\b/],
+    ["node", /^(node|npm|npx|yarn|pnpm|bun|tsc|eslint|jest|vitest)\b/],
+    ["docker", /^(docker|docker-compose|podman|kubectl)\b/],
+    ["network", /^(curl|wget|ssh|scp|rsync|nc|ping)\b/],
+    ["file", /^(ls|cat|head|tail|find|grep|rg|mkdir|touch|cp|mv|rm|chmod|chown|sed|tee)\b/],
+  ];
+  const HIGH_RISK = /\brm\s+-\w*[rf]|--force\b|\bpush\s+-f\b|\breset\s+--hard\b|\bsudo\b|\bdrop\s+(table|database)\b|\|\s*(ba|z)?sh\b|\bchmod\s+-R\b|\bmkfs\b|\bdd\s+if=|\bgit\s+clean\s+-\w*f/i;
+  // Read-only commands; `git branch` only when listing (-d/-D/-m change branches)
+  const LOW_RISK = /^(git\s+(status|log|diff|show)|ls|cat|head|tail|grep|rg|pwd|(npm|pnpm|yarn)\s+(test|run\s+(test|lint))|pytest|node\s+--check)\b|^git\s+branch(\s+(-[avr]+|--(list|all|remotes|verbose)))*\s*$/;
+  // Chained, piped, redirected or substituted: never low, whatever the first command is
+  const COMPOUND = /[;&|<>`]|\$\(/;
+
+  // ── Legacy heuristics ──
+
+  /**
+   * Detect notification type from ntfy.sh message tags.
+   * @param {object} msg — parsed ntfy.sh message
+   * @returns {string} — done|decision|approve|permission|choice
+   */
+  function _legacyType(msg) {
+    const tags = msg.tags || [];
+    const title = msg.title || "";
+    if (tags.includes("lock")) return "permission";
+    if (tags.includes("point_right")) return "choice";
+    if (tags.includes("question")) return "approve";
+    if (tags.includes("white_check_mark")) return "done";
+    if (tags.includes("warning")) return "decision";
+    // Fallback: detect from title
+    if (title.includes("Permission")) return "permission";
+    if (title.includes("Vyber")) return "choice";
+    if (title.includes("Schvaleni")) return "approve";
+    if (title.includes("Hotovo")) return "done";
+    return "decision";
+  }
+
+  /**
+   * Extract action buttons from ntfy.sh message.
+   * Returns array of {label, body} for response buttons.
+   */
+  function _legacyActions(msg) {
+    if (!msg.actions || !Array.isArray(msg.actions)) return [];
+    return msg.actions
+      .filter((a) => a.action === "http")
+      .map((a) => ({ label: a.label, body: a.body }));
+  }
+
+  /**
+   * Extract REQ_ID from action body (pattern: "OK_1234567890").
+   */
+  function _legacyReqId(actions) {
+    if (!actions.length) return null;
+    const match = actions[0].body.match(/_(\d+)$/);
+    return match ? match[1] : null;
+  }
+
+  /** Project from a "[PROJECT] ..." title. */
+  function _legacyProject(title) {
+    const match = (title || "").match(/^\[([^\]]+)\]/);
+    return match ? match[1] : null;
+  }
+
+  function _lines(text) {
+    return (text || "").split(/\\n|\n/).map((l) => l.replace(/\*\*/g, "").trim());
+  }
+
+  /** Choice descriptions from "**A: ...**" lines of the message body. */
+  function _legacyOptions(message, actions) {
+    const descMap = {};
+    for (const line of _lines(message)) {
+      const match = line.match(/^([A-Z]):\s*(.+)/);
+      if (match) descMap[match[1]] = match[2];
+    }
+    return actions.map((a) => ({ key: a.label, label: a.label, description: descMap[a.label] || "" }));
+  }
+
+  /**
+   * Risk of a command: the hook's label, raised when the text is plainly
+   * dangerous or compound; a guess from the text when unlabelled.
+   * @param {string|null} label — low|medium|high from the hook
+   * @param {string|null} text — command line
+   */
+  function _risk(label, text) {
+    if (text && HIGH_RISK.test(text)) return "high";
+    if (text && COMPOUND.test(text)) return label === "high" ? "high" : "medium";
+    if (label) return label;
+    return text && LOW_RISK.test(text) ? "low" : "medium";
+  }
+
+  /**
+   * Command of a legacy permission/approve request: "Category:"/"Risk:" lines
+   * from the hook when present, else a guess from the first `code` span.
+   * @returns {{text: string|null, category: string, risk: string, description: string}|null}
+   */
+  function classifyCommand(message) {
+    let category = null;
+    let risk = null;
+    for (const line of _lines(message)) {
+      const c = line.match(/^(?:category|kategorie)\s*:\s*([a-z]+)/i);
+      if (c && CATEGORIES.includes(c[1].toLowerCase())) category = c[1].toLowerCase();
+      const r = line.match(/^(?:risk|riziko)\s*:.*?\b(low|medium|high)\b/i);
+      if (r) risk = r[1].toLowerCase();
+    }
+
+    const code = (message || "").match(/`([^`]+)`/);
+    const text = code ? code[1].trim() : null;
+    if (text) {
+      if (!category) {
+        const hit = CATEGORY_PATTERNS.find(([, re]) => re.test(text));
+        category = hit ? hit[0] : "other";
+      }
+    }
+    risk = _risk(risk, text);
+    return category ? { text, category, risk, description: "" } : null;
+  }
+
+  function _legacy(msg) {
+    const type = _legacyType(msg);
+    const actions = _legacyActions(msg);
+    const title = msg.title || "";
+    const message = msg.message || "";
+    return {
+      protocol: 0,
+      type,
+      title,
+      message,
+      project: _legacyProject(title),
+      session: null,
+      reqId: _legacyReqId(actions),
+      actions,
+      options: type === "choice" ? _legacyOptions(message, actions) : [],
+      command: type === "permission" || type === "approve" ? classifyCommand(message) : null,
+      edit: null,
+      expiresAt: null,
+    };
+  }
+
+  // ── Protocol v1 ──
+
+  /** The JSON payload in a message body, or null for legacy messages. */
+  function _payload(msg) {
+    const text = (msg.message || "").trim();
+    if (!text.startsWith("{")) return null;
+    let payload;
+    try {
+      payload = JSON.parse(text);
+    } catch {
+      return null;
+    }
+    if (!payload || payload.protocol !== NAME || !Number.isInteger(payload.v) || payload.v < 1) return null;
+    return payload;
+  }
+
+  function _str(value) {
+    return typeof value === "string" ? value : "";
+  }
+
+  /** Reply buttons derived from type + options (the app doesn't rely on ntfy actions). */
+  function _actions(type, reqId, options) {
+    if (!reqId) return [];
+    if (type === "approve" || type === "permission") {
+      return [{ label: "OK", body: `OK_${reqId}` }, { label: "Deny", body: `NOK_${reqId}` }];
+    }
+    if (type === "choice") return options.map((o) => ({ label: o.key, body: `${o.key}_${reqId}` }));
+    return [];
+  }
+
+  /**
+   * Read a v1 payload. Newer minor versions are read best-effort: unknown
+   * fields are ignored, unknown types become "decision".
+   */
+  function _fromPayload(p, msg) {
+    const type = TYPES.includes(p.type) ? p.type : "decision";
+    const reqId = p.reqId != null && /^[\w.-]+$/.test(String(p.reqId)) ? String(p.reqId) : null;
+    const options = (Array.isArray(p.options) ? p.options : [])
+      .filter((o) => o && /^[A-Z]$/.test(o.key))
+      .map((o) => ({ key: o.key, label: _str(o.label) || o.key, description: _str(o.description) }));
+    const cmd = p.command && typeof p.command === "object" ? p.command : null;
+    const cmdText = cmd ? _str(cmd.text) || null : null;
+    const edit = p.edit && typeof p.edit === "object" ? p.edit : null;
+    const expires = Number(p.expires);
+    return {
+      protocol: p.v,
+      type,
+      title: _str(p.title) || msg.title || "",
+      message: _str(p.body),
+      project: _str(p.project) || null,
+      session: _str(p.session) || null,
+      reqId,
+      actions: _actions(type, reqId, options),
+      options,
+      command: cmd ? {
+        text: cmdText,
+        category: CATEGORIES.includes(cmd.category) ? cmd.category : "other",
+        risk: _risk(RISKS.includes(cmd.risk) ? cmd.risk : "medium", cmdText),
+        description: _str(cmd.description),
+      } : null,
+      edit: edit && (_str(edit.diff) || _str(edit.old) || _str(edit.new)) ? {
+        file: _str(edit.file) || null,
+        diff: _str(edit.diff) || null,
+        old: _str(edit.old),
+        new: _str(edit.new),
+      } : null,
+      expiresAt: expires > 0 ? new Date(expires * 1000) : null,
+    };
+  }
+
+  /**
+   * Request fields of a decrypted ntfy message.
+   * @param {object} msg — ntfy message with plaintext title/message
+   * @returns {{protocol: number, type: string, title: string, message: string,
+   *   project: string|null, session: string|null, reqId: string|null,
+   *   actions: {label: string, body: string}[], options: {key, label, description}[],
+   *   command: {text, category, risk, description}|null,
+   *   edit: {file, diff, old, new}|null, expiresAt: Date|null}}
+   *   protocol is 0 for legacy messages
+   */
+  function parse(msg) {
+    const payload = _payload(msg);
+    return payload ? _fromPayload(payload, msg) : _legacy(msg);
+  }
+
+  /** Choice options of a stored notification (records from before the protocol lack them). */
+  function choiceOptions(n) {
+    return n.options && n.options.length ? n.options : _legacyOptions(n.message, n.actions || []);
+  }
+
+  /** Command info of a stored notification (derived for records that lack it). */
+  function commandOf(n) {
+    if (n.command !== undefined) return n.command;
+    return n.type === "permission" || n.type === "approve" ? classifyCommand(n.message) : null;
+  }
+
+  /** Project of a notification — protocol field, or the "[PROJECT]" title prefix. */
+  function projectOf(n) {
+    return n.project || _legacyProject(n.title);
+  }
+
+  /**
+   * No one is waiting for an answer any more: the hook's deadline passed, or
+   * a queued reply expired.
+   */
+  function isExpired(n, now = Date.now()) {
+    return !!n.expired || (!n.answered && !!n.expiresAt && new Date(n.expiresAt).getTime() <= now);
+  }
+
+  /** An answer that lets the request go ahead: "OK…", or a picked choice ("A_…"). */
+  function isApproval(answeredWith) {
+    const w = answeredWith || "";
+    return w.startsWith("OK") || /^[A-Z]_/.test(w);
+  }
+
+  return {
+    VERSION, ACTIONABLE, CATEGORIES, RISKS,
+    parse, choiceOptions, commandOf, classifyCommand, projectOf, isExpired, isApproval,
+  };
+})();
@@ -1,14 +1,32 @@
 "use strict";
 
 /**
- * push.js — Web Push subscription management via ntfy.sh VAPID.
+ * push.js — Web Push subscription management via the ntfy server's VAPID key.
  * Handles subscribe, unsubscribe, and topic updates.
  * Requires service worker with push event handler.
  */
 const Push = (() => {
-  const NTFY_BASE = "https://ntfy.sh";
+  let _server = { url: "https://ntfy.sh" };
   let _vapidKey = null;
 
+  /**
+   * Set the ntfy server (URL + credentials) used for VAPID and registration.
+   * @param {{url: string, token?: string, username?: string, password?: string}} server
+   */
+  function configure(server) {
+    if (Ntfy.normalizeServer(server.url) !== Ntfy.normalizeServer(_server.url)) {
+      _vapidKey = null; // each server has its own VAPID key
+    }
+    _server = { ...server };
+  }
+
+  /** Human-readable error for a failed ntfy request. */
+  function _httpError(action, status, text) {
+    if (status === 401) return I18n.t("push.unauthorized", { action });
+    if (status === 403) return I18n.t("push.forbidden", { action });
+    return I18n.t("push.failed", { action, status }) + (text ? `: ${text}` : "");
+  }
+
   /** Check if Web Push is supported in this browser. */
   function isSupported() {
     return (
@@ -18,13 +36,15 @@ const Push = (() => {
     );
   }
 
-  /** Fetch ntfy.sh VAPID public key (cached after first call). */
+  /** Fetch the server's VAPID public key (cached after first call). */
   async function _getVapidKey() {
     if (_vapidKey) return _vapidKey;
-    const res = await fetch(`${NTFY_BASE}/v1/config`);
-    if (!res.ok) throw new Error(`ntfy config fetch failed: ${res.status}`);
+    const res = await fetch(Ntfy.httpUrl(_server, "v1/config"), {
+      headers: Ntfy.authHeaders(_server),
+    });
+    if (!res.ok) throw new Error(_httpError(I18n.t("push.configFetch"), res.status));
     const cfg = await res.json();
-    if (!cfg.web_push_public_key) throw new Error("ntfy Web Push not enabled");
+    if (!cfg.web_push_public_key) throw new Error(I18n.t("push.disabled"));
     _vapidKey = cfg.web_push_public_key;
     return _vapidKey;
   }
@@ -43,16 +63,16 @@ const Push = (() => {
   }
 
   /**
-   * Subscribe to Web Push for the given ntfy.sh topics.
+   * Subscribe to Web Push for the given ntfy topics.
    * Requests Notification permission if not already granted.
-   * @param {string[]} topics — ntfy.sh topic names to subscribe to
+   * @param {string[]} topics — ntfy topic names to subscribe to
    * @returns {Promise<PushSubscription>}
    */
   async function subscribe(topics) {
-    if (!isSupported()) throw new Error("Web Push not supported");
+    if (!isSupported()) throw new Error(I18n.t("push.unsupported"));
 
     const perm = await Notification.requestPermission();
-    if (perm !== "granted") throw new Error("Notification permission denied");
+    if (perm !== "granted") throw new Error(I18n.t("push.permissionDenied"));
 
     const swReg = await navigator.serviceWorker.ready;
     const vapidKey = await _getVapidKey();
@@ -68,7 +88,7 @@ const Push = (() => {
 
   /**
    * Update subscribed topics without triggering a new permission prompt.
-   * Reuses existing PushSubscription; re-registers it with ntfy.sh.
+   * Reuses existing PushSubscription; re-registers it with the ntfy server.
    * @param {string[]} topics
    */
   async function updateTopics(topics) {
@@ -78,14 +98,14 @@ const Push = (() => {
     await _registerWithNtfy(sub, topics);
   }
 
-  /** Send PushSubscription + topics to ntfy.sh /v1/webpush. */
+  /** Send PushSubscription + topics to the server's /v1/webpush. */
   async function _registerWithNtfy(sub, topics) {
     const key = sub.getKey("p256dh");
     const auth = sub.getKey("auth");
 
-    const res = await fetch(`${NTFY_BASE}/v1/webpush`, {
+    const res = await fetch(Ntfy.httpUrl(_server, "v1/webpush"), {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: { "Content-Type": "application/json", ...Ntfy.authHeaders(_server) },
       body: JSON.stringify({
         endpoint: sub.endpoint,
         p256dh: _bufToBase64(key),
@@ -96,22 +116,22 @@ const Push = (() => {
 
     if (!res.ok) {
       const text = await res.text().catch(() => "");
-      throw new Error(`ntfy webpush registration failed ${res.status}: ${text}`);
+      throw new Error(_httpError(I18n.t("push.registration"), res.status, text));
     }
   }
 
   /**
-   * Unsubscribe from Web Push — removes subscription from browser and ntfy.sh.
+   * Unsubscribe from Web Push — removes subscription from browser and ntfy server.
    */
   async function unsubscribe() {
     const swReg = await navigator.serviceWorker.ready;
     const sub = await swReg.pushManager.getSubscription();
     if (!sub) return;
 
-    // Notify ntfy.sh to remove this endpoint
-    await fetch(`${NTFY_BASE}/v1/webpush`, {
+    // Notify the ntfy server to remove this endpoint
+    await fetch(Ntfy.httpUrl(_server, "v1/webpush"), {
       method: "DELETE",
-      headers: { "Content-Type": "application/json" },
+      headers: { "Content-Type": "application/json", ...Ntfy.authHeaders(_server) },
       body: JSON.stringify({ endpoint: sub.endpoint }),
     }).catch(() => { /* best-effort */ });
 
@@ -133,5 +153,25 @@ const Push = (() => {
     }
   }
 
-  return { isSupported, subscribe, unsubscribe, updateTopics, isSubscribed };
+  /**
+   * Subscription details for the diagnostics screen.
+   * @returns {Promise<{supported: boolean, permission: string|null, endpoint: string|null,
+   *   expirationTime: number|null}>}
+   */
+  async function status() {
+    if (!isSupported()) return { supported: false, permission: null, endpoint: null, expirationTime: null };
+    let sub = null;
+    try {
+      const swReg = await navigator.serviceWorker.ready;
+      sub = await swReg.pushManager.getSubscription();
+    } catch { /* no service worker */ }
+    return {
+      supported: true,
+      permission: Notification.permission,
+      endpoint: sub ? sub.endpoint : null,
+      expirationTime: sub ? sub.expirationTime : null,
+    };
+  }
+
+  return { isSupported, configure, subscribe, unsubscribe, updateTopics, isSubscribed, status };
 })();
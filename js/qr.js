@@ -0,0 +1,302 @@
+"use strict";
+
+/**
+ * qr.js — QR code encoder (ISO/IEC 18004: byte mode, error correction level M,
+ * versions 1–40, best of the 8 masks) rendering to SVG. Used to show pairing
+ * codes; scanning is left to the platform's BarcodeDetector.
+ */
+const QR = (() => {
+  // Per version (index 0 unused), error correction level M
+  const ECC_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+    26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+  const NUM_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+    17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+  const FORMAT_ECL_M = 0;
+
+  // ── Reed-Solomon over GF(256), polynomial 0x11D ──
+
+  function _gfMul(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z & 0xff;
+  }
+
+  function _rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = _gfMul(result[j], root);
+        if (j + 1 < degree) result[j] ^= result[j + 1];
+      }
+      root = _gfMul(root, 0x02);
+    }
+    return result;
+  }
+
+  function _rsRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    for (const b of data) {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => { result[i] ^= _gfMul(coef, factor); });
+    }
+    return result;
+  }
+
+  // ── Capacity ──
+
+  function _rawModules(ver) {
+    let result = (16 * ver + 128) * ver + 64;
+    if (ver >= 2) {
+      const numAlign = Math.floor(ver / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (ver >= 7) result -= 36;
+    }
+    return result;
+  }
+
+  function _dataCodewords(ver) {
+    return Math.floor(_rawModules(ver) / 8) - ECC_PER_BLOCK[ver] * NUM_BLOCKS[ver];
+  }
+
+  function _alignmentPositions(ver) {
+    if (ver === 1) return [];
+    const size = ver * 4 + 17;
+    const numAlign = Math.floor(ver / 7) + 2;
+    const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+  }
+
+  // ── Codewords ──
+
+  /** Data codewords: byte-mode segment, terminator, padding. */
+  function _dataBytes(bytes, ver) {
+    const bits = [];
+    const push = (value, len) => {
+      for (let i = len - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    push(0x4, 4);
+    push(bytes.length, ver <= 9 ? 8 : 16);
+    for (const b of bytes) push(b, 8);
+    const capacity = _dataCodewords(ver) * 8;
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+    const out = [];
+    for (let i = 0; i < bits.length; i += 8) out.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+    for (let pad = 0xec; out.length < capacity / 8; pad ^= 0xec ^ 0x11) out.push(pad);
+    return out;
+  }
+
+  /** Split into blocks, append error correction, interleave. */
+  function _withEcc(data, ver) {
+    const numBlocks = NUM_BLOCKS[ver];
+    const eccLen = ECC_PER_BLOCK[ver];
+    const rawCodewords = Math.floor(_rawModules(ver) / 8);
+    const numShort = numBlocks - (rawCodewords % numBlocks);
+    const shortLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = _rsDivisor(eccLen);
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const dat = data.slice(k, k + shortLen - eccLen + (i < numShort ? 0 : 1));
+      k += dat.length;
+      const ecc = _rsRemainder(dat, divisor);
+      if (i < numShort) dat.push(0);
+      blocks.push(dat.concat(ecc));
+    }
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        // Skip the padding byte of short blocks
+        if (i !== shortLen - eccLen || j >= numShort) result.push(block[i]);
+      });
+    }
+    return result;
+  }
+
+  // ── Matrix ──
+
+  function _matrix(ver, codewords, mask) {
+    const size = ver * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      isFunction[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    // Finder patterns with separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+    // Alignment patterns (not over the finders)
+    const align = _alignmentPositions(ver);
+    const last = align.length - 1;
+    align.forEach((ax, i) => {
+      align.forEach((ay, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) set(ax + dx, ay + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      });
+    });
+    // Version information
+    if (ver >= 7) {
+      let rem = ver;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+      const bits = (ver << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) !== 0;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        set(a, b, dark);
+        set(b, a, dark);
+      }
+    }
+    _drawFormat(set, size, mask);
+
+    // Data, zigzag from the bottom right in two-module columns
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!isFunction[y][x] && i < codewords.length * 8) {
+            modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+    // Mask
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && _masked(mask, x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+    return modules;
+  }
+
+  function _drawFormat(set, size, mask) {
+    const data = (FORMAT_ECL_M << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) !== 0;
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+    // Split between the other two finders, plus the dark module
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  }
+
+  function _masked(mask, x, y) {
+    switch (mask) {
+      case 0: return (x + y) % 2 === 0;
+      case 1: return y % 2 === 0;
+      case 2: return x % 3 === 0;
+      case 3: return (x + y) % 3 === 0;
+      case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+      case 5: return ((x * y) % 2) + ((x * y) % 3) === 0;
+      case 6: return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+      default: return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+    }
+  }
+
+  /** Penalty score of a masked symbol (lower reads better). */
+  function _penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    let dark = 0;
+    const lines = [];
+    for (let y = 0; y < size; y++) {
+      lines.push(modules[y].map(Number).join(""));
+      lines.push(modules.map((row) => Number(row[y])).join(""));
+    }
+    for (const line of lines) {
+      // Runs of 5+ same-colored modules
+      for (const run of line.match(/0{5,}|1{5,}/g) || []) score += run.length - 2;
+      // Finder-like patterns
+      score += 40 * ((line.match(/(?=10111010000|00001011101)/g) || []).length);
+    }
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const c = modules[y][x];
+          if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+        }
+      }
+    }
+    // Dark/light balance
+    const total = size * size;
+    score += 10 * Math.max(0, Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1);
+    return score;
+  }
+
+  /**
+   * Encode text (UTF-8) into a QR symbol.
+   * @returns {boolean[][]} — modules[y][x], true = dark
+   * @throws {Error} — text too long for version 40
+   */
+  function encode(text) {
+    const bytes = [...new TextEncoder().encode(text)];
+    let ver = 1;
+    while (ver <= 40 && 4 + (ver <= 9 ? 8 : 16) + bytes.length * 8 > _dataCodewords(ver) * 8) ver++;
+    if (ver > 40) throw new Error("Too much data for a QR code.");
+    const codewords = _withEcc(_dataBytes(bytes, ver), ver);
+    let best = null;
+    let bestScore = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      const modules = _matrix(ver, codewords, mask);
+      const score = _penalty(modules);
+      if (score < bestScore) {
+        best = modules;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /** SVG markup of the QR code for `text`, with the standard 4-module quiet zone. */
+  function toSVG(text, { border = 4 } = {}) {
+    const modules = encode(text);
+    const size = modules.length + border * 2;
+    let path = "";
+    modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) path += `M${x + border},${y + border}h1v1h-1z`;
+      });
+    });
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges">` +
+      `<rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+  }
+
+  return { encode, toSVG };
+})();
@@ -0,0 +1,43 @@
+"use strict";
+
+/**
+ * reminders.js — Escalating reminders for requests nobody has answered yet.
+ * Step N is due N intervals after the request arrived; each step is louder
+ * than the one before, and there are no more reminders after the last one.
+ */
+const Reminders = (() => {
+  const STEPS = [
+    // The request's alert sound and vibration (Alerts.profileFor), played `repeat` times
+    { repeat: 1, volume: 0.15, requireInteraction: false },
+    { repeat: 2, volume: 0.4, requireInteraction: true },
+    { repeat: 3, volume: 0.8, requireInteraction: true },
+  ];
+
+  /**
+   * Escalation step due for a request (0 = none yet, at most STEPS.length).
+   * @param {Date|string} since — when the request arrived
+   * @param {number} intervalMs — time between reminders
+   */
+  function stepDue(since, intervalMs, now = Date.now()) {
+    if (!intervalMs) return 0;
+    const waited = now - new Date(since).getTime();
+    // Past the last step: leave it alone (e.g. stale requests loaded from history)
+    if (waited >= (STEPS.length + 1) * intervalMs) return 0;
+    return Math.max(0, Math.min(STEPS.length, Math.floor(waited / intervalMs)));
+  }
+
+  /** Alert settings of step n (1-based). */
+  function step(n) {
+    return STEPS[Math.min(STEPS.length, Math.max(1, n)) - 1];
+  }
+
+  /** Waiting time at minute resolution: "<1m", "12m", "1h 5m" (units in the current language). */
+  function fmtWaiting(ms) {
+    const m = Math.floor(ms / 60000);
+    if (m < 1) return `<${I18n.fmtUnit(1, "minute")}`;
+    if (m < 60) return I18n.fmtUnit(m, "minute");
+    return `${I18n.fmtUnit(Math.floor(m / 60), "hour")} ${I18n.fmtUnit(m % 60, "minute")}`;
+  }
+
+  return { STEPS, stepDue, step, fmtWaiting };
+})();
@@ -0,0 +1,82 @@
+"use strict";
+
+/**
+ * rules.js — Client-side auto-response rules. A rule matches on project, type,
+ * a title/body regex and the command category/risk of permission requests
+ * (Protocol.commandOf), and answers with OK, Deny or a choice letter.
+ * First enabled match wins.
+ */
+const Rules = (() => {
+  const RISK_LEVEL = { low: 1, medium: 2, high: 3 };
+
+  /** Compile a rule's pattern; null for no pattern, throws on invalid regex. */
+  function _regex(rule) {
+    return rule.pattern ? new RegExp(rule.pattern, "i") : null;
+  }
+
+  /**
+   * Check a rule before saving.
+   * @returns {string|null} — error message
+   */
+  function validate(rule) {
+    try {
+      _regex(rule);
+    } catch {
+      return I18n.t("rule.invalidPattern", { name: rule.name });
+    }
+    if (rule.action === "choice" && !/^[A-Z]$/.test(rule.choice || "")) {
+      return I18n.t("rule.invalidChoice", { name: rule.name });
+    }
+    return null;
+  }
+
+  function _matches(rule, n, info) {
+    if (!rule.enabled) return false;
+    if (rule.type && rule.type !== n.type) return false;
+    if (rule.project && rule.project !== Protocol.projectOf(n)) return false;
+    if (rule.category && rule.category !== info.category) return false;
+    if (rule.maxRisk && !(RISK_LEVEL[info.risk] <= RISK_LEVEL[rule.maxRisk])) return false;
+    let re;
+    try {
+      re = _regex(rule);
+    } catch {
+      return false;
+    }
+    return !re || re.test(`${n.title}\n${n.message}`);
+  }
+
+  /** Reply body the rule sends for this request (null if the request has no such button). */
+  function _response(rule, n) {
+    const actions = n.actions || [];
+    const found = {
+      approve: () => actions.find((a) => a.body.startsWith("OK_")),
+      deny: () => actions.find((a) => a.body.startsWith("NOK_")),
+      choice: () => actions.find((a) => a.label === rule.choice),
+    }[rule.action];
+    const action = found && found();
+    return action ? action.body : null;
+  }
+
+  /**
+   * First enabled rule that answers this request.
+   * Requests whose machine signature didn't verify are never auto-answered, and
+   * high-risk ones are only approved by rules with `allowHighRisk`.
+   * @param {object[]} rules
+   * @param {object} n — incoming actionable notification
+   * @returns {{rule: object, response: string}|null}
+   */
+  function evaluate(rules, n) {
+    if (n.answered || n.decryptFailed || Protocol.isExpired(n)) return null;
+    if (n.signature === "invalid" || n.signature === "unsigned") return null;
+    const info = Protocol.commandOf(n) || {};
+    for (const rule of rules || []) {
+      if (!_matches(rule, n, info)) continue;
+      if (rule.action !== "deny" && info.risk === "high" && !rule.allowHighRisk) continue;
+      const response = _response(rule, n);
+      if (response) return { rule, response };
+    }
+    return null;
+  }
+
+  return { validate, evaluate };
+})();
@@ -0,0 +1,180 @@
+"use strict";
+
+/**
+ * sign.js — HMAC-SHA256 signatures for replies (this device → hook) and
+ * requests (machine → this device). Shared by the app and the service worker.
+ *
+ * Reply:   "OK_1234 sig=v1:<deviceId>:<ts>:<hex>"
+ *          hex = HMAC(deviceKey, "<reqId>:<decision>:<ts>"), decision = OK|NOK|A|B|...
+ *          The hook knows the device key, recomputes the HMAC and rejects
+ *          replies with unknown device IDs or a timestamp older than a few minutes.
+ * Structured reply (choice + comment, or a free-text answer to a decision):
+ *          {"v":1,"id":"<ntfy message ID>","reqId":"1234"|null,"choice":"B"|null,
+ *           "text":"...","sig":"v1:<deviceId>:<ts>:<hex>"}
+ *          hex = HMAC(deviceKey, "<id>:<reqId>:<choice>:<ts>:<text>") (nulls as "").
+ * Request: ntfy tag "sigv1-<ts>-<hex>"
+ *          hex = HMAC(machineKey, "<ts>:<reqId>:<title>:<message>") over the plaintext
+ *          (reqId empty for messages without actions).
+ * Keys are 32 random bytes, hex encoded; <ts> is Unix seconds.
+ */
+const Sign = (() => {
+  const MAX_SKEW_S = 300; // request signature must be within 5 min of ntfy's receive time
+  const TAG_RE = /^sigv1-(\d+)-([0-9a-f]{64})$/;
+  const SIG_RE = /^v1:([^:]+):(\d+):([0-9a-f]{64})$/;
+
+  function _hex(buf) {
+    return [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  function _unhex(hex) {
+    return new Uint8Array((hex.match(/../g) || []).map((h) => parseInt(h, 16)));
+  }
+
+  /** Random hex string of `bytes` bytes. */
+  function randomHex(bytes) {
+    return _hex(crypto.getRandomValues(new Uint8Array(bytes)));
+  }
+
+  /** New device identity: short public ID + 256-bit HMAC key. */
+  function createDevice() {
+    return { id: "d" + randomHex(4), key: randomHex(32) };
+  }
+
+  async function hmac(keyHex, data) {
+    const key = await crypto.subtle.importKey(
+      "raw", _unhex(keyHex), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]
+    );
+    return _hex(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(data)));
+  }
+
+  /** Constant-time-ish comparison of two hex strings. */
+  function _equal(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+  }
+
+  /**
+   * Append this device's signature to a reply body.
+   * @param {{id: string, key: string}} device
+   * @param {string} body — e.g. "OK_1234567890"
+   * @returns {Promise<string>}
+   */
+  async function signReply(device, body) {
+    const match = body.match(/^([A-Z]+)_(\S+)$/);
+    const decision = match ? match[1] : "";
+    const reqId = match ? match[2] : body;
+    const ts = Math.floor(Date.now() / 1000);
+    const mac = await hmac(device.key, `${reqId}:${decision}:${ts}`);
+    return `${body} sig=v1:${device.id}:${ts}:${mac}`;
+  }
+
+  /**
+   * Sign a structured reply (see header) — adds the `sig` field.
+   * @param {{id: string, key: string}} device
+   * @param {{v: number, id: string, reqId: string|null, choice: string|null, text: string}} reply
+   * @returns {Promise<object>}
+   */
+  async function signStructuredReply(device, reply) {
+    const ts = Math.floor(Date.now() / 1000);
+    const mac = await hmac(
+      device.key,
+      `${reply.id}:${reply.reqId || ""}:${reply.choice || ""}:${ts}:${reply.text}`
+    );
+    return { ...reply, sig: `v1:${device.id}:${ts}:${mac}` };
+  }
+
+  /** Structured reply from its JSON text (null if it isn't one). */
+  function _parseStructured(text) {
+    let reply;
+    try {
+      reply = JSON.parse(text);
+    } catch {
+      return null;
+    }
+    if (!reply || reply.v !== 1 || typeof reply.id !== "string") return null;
+    const sig = typeof reply.sig === "string" && reply.sig.match(/^v1:([^:]+):/);
+    return {
+      answeredWith: reply.choice && reply.reqId ? `${reply.choice}_${reply.reqId}` : null,
+      reqId: reply.reqId || null,
+      msgId: reply.id,
+      text: String(reply.text || ""),
+      deviceId: sig ? sig[1] : null,
+    };
+  }
+
+  /**
+   * Split a reply seen on a reply topic (from any device, or the terminal).
+   * The signature isn't checked here — see verifyReply().
+   * @param {string} text — decrypted reply body
+   * @returns {{answeredWith: string|null, reqId: string|null, msgId: string|null,
+   *   text: string|null, deviceId: string|null}|null} — msgId/text only for structured replies
+   */
+  function parseReply(text) {
+    const trimmed = (text || "").trim();
+    if (trimmed.startsWith("{")) return _parseStructured(trimmed);
+    const match = trimmed.match(/^([A-Z]+)_(\S+)(?:\s+sig=v1:([^:\s]+):\d+:[0-9a-f]+)?\s*$/);
+    if (!match) return null;
+    return { answeredWith: `${match[1]}_${match[2]}`, reqId: match[2], msgId: null, text: null, deviceId: match[3] || null };
+  }
+
+  /**
+   * Verify the signature of a reply seen on a reply topic.
+   * @param {string} text — decrypted reply body
+   * @param {function(string): (string|null)} keyFor — hex key of a device ID, if known
+   * @returns {Promise<"valid"|"invalid"|"unknown">} — unknown: unsigned, or signed by a device without a known key
+   */
+  async function verifyReply(text, keyFor) {
+    const trimmed = (text || "").trim();
+    let sig = null;
+    let data = "";
+    if (trimmed.startsWith("{")) {
+      let reply;
+      try {
+        reply = JSON.parse(trimmed);
+      } catch {
+        return "unknown";
+      }
+      sig = reply && typeof reply.sig === "string" ? reply.sig.match(SIG_RE) : null;
+      if (sig) data = `${reply.id}:${reply.reqId || ""}:${reply.choice || ""}:${sig[2]}:${reply.text}`;
+    } else {
+      const match = trimmed.match(/^([A-Z]+)_(\S+)\s+sig=(\S+)\s*$/);
+      sig = match ? match[3].match(SIG_RE) : null;
+      if (sig) data = `${match[2]}:${match[1]}:${sig[2]}`;
+    }
+    const key = sig && keyFor(sig[1]);
+    if (!key) return "unknown";
+    try {
+      return _equal(await hmac(key, data), sig[3]) ? "valid" : "invalid";
+    } catch {
+      return "invalid"; // malformed key
+    }
+  }
+
+  /**
+   * Verify the machine signature of an incoming (decrypted) message.
+   * @param {object} msg — ntfy message with plaintext title/message
+   * @param {string|null} reqId
+   * @param {string} machineKey — hex key shared with the hook on that machine
+   * @returns {Promise<"valid"|"invalid"|"unsigned">}
+   */
+  async function verifyRequest(msg, reqId, machineKey) {
+    const tag = (msg.tags || []).find((t) => t.startsWith("sigv1-"));
+    const match = tag && tag.match(TAG_RE);
+    if (!match) return tag ? "invalid" : "unsigned";
+    const ts = parseInt(match[1], 10);
+    if (msg.time && Math.abs(msg.time - ts) > MAX_SKEW_S) return "invalid";
+    try {
+      const expected = await hmac(
+        machineKey,
+        `${match[1]}:${reqId || ""}:${msg.title || ""}:${msg.message || ""}`
+      );
+      return _equal(expected, match[2]) ? "valid" : "invalid";
+    } catch {
+      return "invalid"; // malformed key
+    }
+  }
+
+  return { randomHex, createDevice, hmac, signReply, signStructuredReply, parseReply, verifyReply, verifyRequest };
+})();
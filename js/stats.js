@@ -0,0 +1,104 @@
+"use strict";
+
+/**
+ * stats.js — Aggregates over notification history for the Stats view:
+ * approval counts, time-to-respond, busiest hours, choice letters.
+ */
+const Stats = (() => {
+  const ACTIONABLE = ["approve", "permission", "choice"];
+
+  /** Value at quantile q (0–1) of a sorted array, nearest-rank. */
+  function quantile(sorted, q) {
+    if (!sorted.length) return null;
+    const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil(q * sorted.length) - 1));
+    return sorted[idx];
+  }
+
+  function _group() {
+    return { total: 0, approved: 0, denied: 0, ignored: 0, pending: 0, times: [] };
+  }
+
+  function _finish(g) {
+    const sorted = g.times.sort((a, b) => a - b);
+    return {
+      total: g.total,
+      approved: g.approved,
+      denied: g.denied,
+      ignored: g.ignored,
+      pending: g.pending,
+      answered: sorted.length,
+      median: quantile(sorted, 0.5),
+      p90: quantile(sorted, 0.9),
+    };
+  }
+
+  /**
+   * Compute statistics over stored history records.
+   * "ignored" = actionable requests never answered and expired (or past
+   * their deadline); "pending" = ones that can still be answered.
+   * Response times (ms) only count answers with a recorded `answeredAt`.
+   * @param {object[]} records — Store records (with `project`, `answer`)
+   * @param {Date} [since] — only records at or after this time
+   * @returns {{overall, byProject: [string, object][], byType: [string, object][],
+   *   hours: number[], choices: [string, number][]}}
+   */
+  function compute(records, since) {
+    const overall = _group();
+    const byProject = new Map();
+    const byType = new Map();
+    const hours = new Array(24).fill(0);
+    const choices = new Map();
+
+    for (const r of records) {
+      const time = new Date(r.time);
+      if (since && time < since) continue;
+      hours[time.getHours()]++;
+
+      const project = r.project || I18n.t("stats.noProject");
+      if (!byProject.has(project)) byProject.set(project, _group());
+      if (!byType.has(r.type)) byType.set(r.type, _group());
+      const groups = [overall, byProject.get(project), byType.get(r.type)];
+
+      for (const g of groups) g.total++;
+      if (!ACTIONABLE.includes(r.type) || r.decryptFailed) continue;
+
+      const key = r.answer === "approved" ? "approved"
+        : r.answer === "denied" ? "denied"
+        : r.answer === "pending" && !Protocol.isExpired(r) ? "pending"
+        : "ignored";
+      for (const g of groups) g[key]++;
+
+      if (r.answered && r.answeredAt) {
+        const ms = new Date(r.answeredAt) - time;
+        if (ms >= 0) for (const g of groups) g.times.push(ms);
+      }
+
+      const letter = r.type === "choice" && (r.answeredWith || "").match(/^([A-Z])_/);
+      if (letter) choices.set(letter[1], (choices.get(letter[1]) || 0) + 1);
+    }
+
+    const sortByTotal = (m) => [...m.entries()]
+      .map(([k, g]) => [k, _finish(g)])
+      .sort((a, b) => b[1].total - a[1].total);
+
+    return {
+      overall: _finish(overall),
+      byProject: sortByTotal(byProject),
+      byType: sortByTotal(byType),
+      hours,
+      choices: [...choices.entries()].sort((a, b) => a[0].localeCompare(b[0])),
+    };
+  }
+
+  /** Human-readable duration: "45s", "3m 20s", "1h 5m". */
+  function fmtDuration(ms) {
+    if (ms == null) return "—";
+    const s = Math.round(ms / 1000);
+    if (s < 60) return I18n.fmtUnit(s, "second");
+    const m = Math.floor(s / 60);
+    if (m < 60) return `${I18n.fmtUnit(m, "minute")} ${I18n.fmtUnit(s % 60, "second")}`;
+    return `${I18n.fmtUnit(Math.floor(m / 60), "hour")} ${I18n.fmtUnit(m % 60, "minute")}`;
+  }
+
+  return { compute, quantile, fmtDuration };
+})();
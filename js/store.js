@@ -0,0 +1,252 @@
+"use strict";
+
+/**
+ * store.js — Notification history on IndexedDB (no size cap).
+ * Records are notifications plus derived index fields (`project`, `answer`).
+ * Shared by the app and the service worker (which records notification-action answers).
+ */
+const Store = (() => {
+  const LEGACY_HISTORY_KEY = "claude_mobile_history";
+  const LEGACY_SEEN_KEY = "claude_mobile_seen";
+  const SEEN_TTL_MS = 7 * 24 * 3600 * 1000; // dedupe only matters within the fetch window
+  const DAY_MS = 24 * 3600 * 1000;
+  const ACTIONABLE = ["approve", "permission", "choice"];
+
+  /**
+   * Answer state for the "answer" index.
+   * @returns {string} — pending|approved|denied|none (not actionable, or expired unanswered)
+   */
+  function answerOf(n) {
+    if (!ACTIONABLE.includes(n.type) || n.decryptFailed) return "none";
+    if (!n.answered) return Protocol.isExpired(n) ? "none" : "pending";
+    return Protocol.isApproval(n.answeredWith) ? "approved" : "denied";
+  }
+
+  function _toRecord(n) {
+    return { ...n, project: Protocol.projectOf(n), answer: answerOf(n) };
+  }
+
+  /** Open the database and migrate legacy storage once. */
+  async function init() {
+    await DB.open();
+    await _migrate();
+  }
+
+  /**
+   * Move localStorage history/seen IDs (pre-IndexedDB versions) and answers
+   * recorded by the v1 service worker into the stores. No-op once done.
+   */
+  async function _migrate() {
+    if (typeof localStorage !== "undefined") {
+      const history = localStorage.getItem(LEGACY_HISTORY_KEY);
+      const seen = localStorage.getItem(LEGACY_SEEN_KEY);
+      if (history) {
+        try {
+          const parsed = JSON.parse(history);
+          await DB.putAll("notifications", parsed.map((n) => _toRecord({ ...n, time: new Date(n.time) })));
+        } catch { /* corrupt legacy data — drop it */ }
+        localStorage.removeItem(LEGACY_HISTORY_KEY);
+      }
+      if (seen) {
+        try {
+          const now = Date.now();
+          await DB.putAll("seen", JSON.parse(seen).map((id) => ({ id, time: now })));
+        } catch { /* ignore */ }
+        localStorage.removeItem(LEGACY_SEEN_KEY);
+      }
+    }
+
+    const answers = await DB.getAll("answers");
+    for (const a of answers) {
+      await update(a.id, { answered: true, answeredWith: a.answeredWith });
+    }
+    if (answers.length) await DB.clear("answers");
+  }
+
+  /**
+   * Attribute history from before profiles existed (no topic/profileId) to the
+   * profile the old single-topic settings were migrated into, so its pending
+   * requests can still be answered. Runs before init() moves the history over.
+   */
+  function adoptLegacyHistory(profile) {
+    if (typeof localStorage === "undefined") return;
+    try {
+      const history = JSON.parse(localStorage.getItem(LEGACY_HISTORY_KEY) || "null");
+      if (!Array.isArray(history)) return;
+      const adopted = history.map((n) => ({ ...n, topic: n.topic || profile.topic, profileId: n.profileId || profile.id }));
+      localStorage.setItem(LEGACY_HISTORY_KEY, JSON.stringify(adopted));
+    } catch { /* corrupt legacy data — _migrate drops it */ }
+  }
+
+  /** Insert or replace a notification. */
+  function put(notification) {
+    return DB.put("notifications", _toRecord(notification));
+  }
+
+  function get(id) {
+    return DB.get("notifications", id);
+  }
+
+  /**
+   * Merge fields into a stored notification.
+   * @returns {Promise<object|null>} — updated record, null if not stored
+   */
+  async function update(id, patch) {
+    const existing = await get(id);
+    if (!existing) return null;
+    const record = _toRecord({ ...existing, ...patch });
+    await DB.put("notifications", record);
+    return record;
+  }
+
+  /** Has this message ID been received before (stored or seen)? */
+  async function has(id) {
+    const [stored, seen] = await Promise.all([
+      DB.count("notifications", id),
+      DB.count("seen", id),
+    ]);
+    return stored + seen > 0;
+  }
+
+  function markSeen(id) {
+    return DB.put("seen", { id, time: Date.now() });
+  }
+
+  /**
+   * Newest-first page of history.
+   * @param {object} opts — {after: cursor from previous page, limit, filter: fn(record) → bool}
+   * @returns {Promise<{items: object[], next: object|null}>} — next is null when exhausted
+   */
+  async function page({ after = null, limit = 50, filter = null } = {}) {
+    const items = [];
+    let next = null;
+    const range = after ? IDBKeyRange.upperBound(after.time) : null;
+    await DB.iterate("notifications", { index: "time", range, direction: "prev" }, (cursor) => {
+      const r = cursor.value;
+      // Same timestamp as the cursor: those up to the cursor ID were on the previous page
+      if (after && r.time.getTime() === after.time.getTime() && r.id >= after.id) return true;
+      if (filter && !filter(r)) return true;
+      if (items.length === limit) {
+        const last = items[items.length - 1];
+        next = { time: last.time, id: last.id };
+        return false;
+      }
+      items.push(r);
+      return true;
+    });
+    return { items, next };
+  }
+
+  /**
+   * Build a page() filter from search criteria (all optional, ANDed).
+   * @param {object} c — {q: text in title/message, project, type,
+   *   status: pending|approved|denied, from/to: "YYYY-MM-DD" local dates, inclusive}
+   * @returns {function(object): boolean|null} — null if no criteria set
+   */
+  function makeFilter(c) {
+    const q = (c.q || "").trim().toLowerCase();
+    const from = c.from ? new Date(`${c.from}T00:00:00`) : null;
+    const to = c.to ? new Date(`${c.to}T23:59:59.999`) : null;
+    if (!q && !c.project && !c.type && !c.status && !from && !to) return null;
+    return (r) => {
+      if (c.project && r.project !== c.project) return false;
+      if (c.type && r.type !== c.type) return false;
+      if (c.status && r.answer !== c.status) return false;
+      if (from && r.time < from) return false;
+      if (to && r.time > to) return false;
+      if (q && !`${r.title}\n${r.message}`.toLowerCase().includes(q)) return false;
+      return true;
+    };
+  }
+
+  /** Distinct project names in history, sorted. */
+  async function projects() {
+    const names = [];
+    await DB.iterate("notifications", { index: "project", direction: "nextunique" }, (cursor) => {
+      names.push(cursor.key);
+    });
+    return names.sort((a, b) => a.localeCompare(b));
+  }
+
+  /** Every stored notification, newest first (for export). */
+  async function all() {
+    const items = [];
+    await DB.iterate("notifications", { index: "time", direction: "prev" }, (cursor) => {
+      items.push(cursor.value);
+    });
+    return items;
+  }
+
+  /**
+   * Add imported notifications, skipping IDs already in history
+   * (the same message IDs the live feed dedupes on).
+   * @returns {Promise<{added: number, skipped: number}>}
+   */
+  async function merge(notifications) {
+    const fresh = [];
+    for (const n of notifications) {
+      if (!(await get(n.id))) fresh.push(_toRecord(n));
+    }
+    await DB.putAll("notifications", fresh);
+    await DB.putAll("seen", fresh.map((r) => ({ id: r.id, time: Date.now() })));
+    return { added: fresh.length, skipped: notifications.length - fresh.length };
+  }
+
+  /** Most recent notifications (dashboard window). */
+  async function recent(limit) {
+    return (await page({ limit })).items;
+  }
+
+  /**
+   * All unanswered actionable requests, regardless of age. Ones whose deadline
+   * passed since they were stored leave the "pending" index on the way.
+   */
+  async function pending() {
+    const items = [];
+    await DB.iterate("notifications", { index: "answer", range: IDBKeyRange.only("pending"), mode: "readwrite" }, (cursor) => {
+      if (Protocol.isExpired(cursor.value)) cursor.update(_toRecord(cursor.value));
+      else items.push(cursor.value);
+    });
+    return items;
+  }
+
+  /**
+   * Delete notifications older than `days` (0 = keep forever) and stale seen IDs.
+   * @returns {Promise<number>} — number of notifications deleted
+   */
+  async function applyRetention(days) {
+    let deleted = 0;
+    if (days > 0) {
+      const cutoff = new Date(Date.now() - days * DAY_MS);
+      await DB.iterate("notifications", {
+        index: "time",
+        range: IDBKeyRange.upperBound(cutoff, true),
+        mode: "readwrite",
+      }, (cursor) => {
+        cursor.delete();
+        deleted++;
+      });
+    }
+    await DB.iterate("seen", {
+      index: "time",
+      range: IDBKeyRange.upperBound(Date.now() - SEEN_TTL_MS, true),
+      mode: "readwrite",
+    }, (cursor) => {
+      cursor.delete();
+    });
+    return deleted;
+  }
+
+  async function clear() {
+    await Promise.all([DB.clear("notifications"), DB.clear("seen")]);
+  }
+
+  function count() {
+    return DB.count("notifications");
+  }
+
+  return {
+    init, adoptLegacyHistory, answerOf, put, get, update, has, markSeen,
+    page, makeFilter, projects, all, merge, recent, pending, applyRetention, clear, count,
+  };
+})();
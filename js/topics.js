@@ -0,0 +1,116 @@
+"use strict";
+
+/**
+ * topics.js — Random topic names and topic rotation. Knowing a topic is all it
+ * takes to read and answer requests, so topics should be long random strings.
+ *
+ * Rotating a profile moves it to a new topic pair but keeps the old pair in
+ * `profile.previous` for a grace period: the app stays subscribed to both, so
+ * requests published before the hooks switched over still arrive and are
+ * answered on the reply topic they expect. Shared by the app and the service worker.
+ */
+const Topics = (() => {
+  const PREFIX = "cm-";
+  const RANDOM_BYTES = 16; // 128 bits
+  const GRACE_MS = 24 * 3600 * 1000;
+  const BASE32 = "abcdefghijklmnopqrstuvwxyz234567";
+
+  /** Random topic name: prefix + 128 bits in lowercase base32 (26 characters). */
+  function randomTopic() {
+    let bits = 0;
+    let value = 0;
+    let out = "";
+    for (const b of crypto.getRandomValues(new Uint8Array(RANDOM_BYTES))) {
+      value = (value << 8) | b;
+      bits += 8;
+      while (bits >= 5) {
+        out += BASE32[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits) out += BASE32[(value << (5 - bits)) & 31];
+    return PREFIX + out;
+  }
+
+  /** New request/reply topic pair (unrelated to each other). */
+  function generate() {
+    return { topic: randomTopic(), replyTopic: randomTopic() };
+  }
+
+  /** Is the profile still subscribed to its previous topics? */
+  function inGrace(profile, now = Date.now()) {
+    return !!(profile.previous && profile.previous.until > now);
+  }
+
+  /**
+   * The profile moved to new topics; the current ones stay subscribed for the
+   * grace period (topics of an earlier, unfinished rotation are dropped).
+   */
+  function rotate(profile, now = Date.now()) {
+    return {
+      ...profile,
+      ...generate(),
+      previous: { topic: profile.topic, replyTopic: profile.replyTopic, until: now + GRACE_MS },
+    };
+  }
+
+  /** Request topics to subscribe to: the current one, plus the previous one during the grace period. */
+  function topicsOf(profile, now = Date.now()) {
+    return [profile.topic, inGrace(profile, now) && profile.previous.topic].filter(Boolean);
+  }
+
+  function replyTopicsOf(profile, now = Date.now()) {
+    return [profile.replyTopic, inGrace(profile, now) && profile.previous.replyTopic].filter(Boolean);
+  }
+
+  /** E2E secrets by topic — request and reply topics of each profile (old ones too while rotating). */
+  function secretsOf(profiles, now = Date.now()) {
+    const secrets = {};
+    for (const p of profiles || []) {
+      if (!p.secret) continue;
+      for (const topic of [...topicsOf(p, now), ...replyTopicsOf(p, now)]) secrets[topic] = p.secret;
+    }
+    return secrets;
+  }
+
+  /** Did a request on `topic` come from this profile? */
+  function matches(profile, topic, now = Date.now()) {
+    return topicsOf(profile, now).includes(topic);
+  }
+
+  /** Reply topic for a request on `topic`: the old reply topic answers the old request topic. */
+  function replyTopicFor(profile, topic) {
+    return profile.previous && profile.previous.topic === topic && profile.previous.replyTopic
+      ? profile.previous.replyTopic
+      : profile.replyTopic;
+  }
+
+  /** Drop previous topics whose grace period is over. @returns {boolean} — anything dropped */
+  function expire(profiles, now = Date.now()) {
+    let changed = false;
+    for (const p of profiles) {
+      if (p.previous && !inGrace(p, now)) {
+        delete p.previous;
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  /** When the next grace period ends (ms timestamp), or null. */
+  function nextExpiry(profiles) {
+    const ends = profiles.filter((p) => p.previous).map((p) => p.previous.until);
+    return ends.length ? Math.min(...ends) : null;
+  }
+
+  /** Env lines for the hooks of a profile's machines. */
+  function envSnippet(profile) {
+    return `CLAUDE_MOBILE_TOPIC="${profile.topic}"\nCLAUDE_MOBILE_REPLY_TOPIC="${profile.replyTopic}"`;
+  }
+
+  return {
+    GRACE_MS,
+    generate, inGrace, rotate, topicsOf, replyTopicsOf, secretsOf, matches, replyTopicFor,
+    expire, nextExpiry, envSnippet,
+  };
+})();
@@ -0,0 +1,171 @@
+"use strict";
+
+/**
+ * transfer.js — History export (JSON, CSV) and JSON import parsing.
+ * JSON exports round-trip through import; CSV is for spreadsheets/audits.
+ */
+const Transfer = (() => {
+  const FORMAT = "claude-mobile-history";
+  const VERSION = 1;
+
+  const FIELDS = [
+    "id", "time", "project", "type", "title", "message",
+    "reqId", "answer", "answeredWith", "answeredAt", "replyText", "autoRule", "topic", "profileId",
+  ];
+
+  const CSV_HEADERS = {
+    id: "id",
+    time: "time",
+    project: "project",
+    type: "type",
+    title: "title",
+    message: "message",
+    reqId: "request_id",
+    answer: "answer",
+    answeredWith: "answered_with",
+    answeredAt: "answered_at",
+    replyText: "reply_text",
+    autoRule: "auto_rule",
+    topic: "topic",
+    profileId: "profile",
+  };
+
+  function _iso(date) {
+    if (!date) return null;
+    const d = new Date(date);
+    return isNaN(d) ? null : d.toISOString();
+  }
+
+  /** Flat export row for a stored record. */
+  function _row(r) {
+    return {
+      id: r.id,
+      time: _iso(r.time),
+      project: r.project || null,
+      type: r.type,
+      title: r.title || "",
+      message: r.message || "",
+      reqId: r.reqId || null,
+      answer: r.answer,
+      answeredWith: r.answeredWith || null,
+      answeredAt: _iso(r.answeredAt),
+      replyText: r.replyText || null,
+      autoRule: r.autoRule || null,
+      topic: r.topic || null,
+      profileId: r.profileId || null,
+    };
+  }
+
+  /**
+   * JSON export item: the flat row plus the protocol fields a card is rendered
+   * from (derived ones for records from before the protocol, whose ntfy actions
+   * aren't exported).
+   */
+  function _item(r) {
+    return {
+      ..._row(r),
+      expiresAt: _iso(r.expiresAt),
+      expired: !!r.expired,
+      options: r.type === "choice" ? Protocol.choiceOptions(r) : r.options || [],
+      command: Protocol.commandOf(r),
+      edit: r.edit || null,
+    };
+  }
+
+  /** JSON export document (import accepts exactly this). */
+  function toJSON(records) {
+    return JSON.stringify({
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date().toISOString(),
+      items: records.map(_item),
+    }, null, 2);
+  }
+
+  /**
+   * Quote a CSV cell. Cells starting with = + - @ get a leading apostrophe so
+   * spreadsheets don't evaluate command lines as formulas.
+   */
+  function _csvCell(value) {
+    let s = value == null ? "" : String(value);
+    if (/^[=+\-@]/.test(s)) s = "'" + s;
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  function toCSV(records) {
+    const lines = [FIELDS.map((f) => CSV_HEADERS[f]).join(",")];
+    for (const r of records) {
+      const row = _row(r);
+      lines.push(FIELDS.map((f) => _csvCell(row[f])).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+  }
+
+  function _object(value) {
+    return value && typeof value === "object" && !Array.isArray(value) ? value : null;
+  }
+
+  /**
+   * Parse a JSON export back into notifications (answer is re-derived by the
+   * store, project too if missing). Requests that were still unanswered come in
+   * expired: no hook waits for an answer from this device.
+   * @returns {object[]}
+   * @throws {Error} — not a Claude Mobile export
+   */
+  function parseJSON(text) {
+    let doc;
+    try {
+      doc = JSON.parse(text);
+    } catch {
+      throw new Error(I18n.t("transfer.notJson"));
+    }
+    if (!doc || doc.format !== FORMAT || !Array.isArray(doc.items)) {
+      throw new Error(I18n.t("transfer.notExport"));
+    }
+    if (doc.version > VERSION) {
+      throw new Error(I18n.t("transfer.newer"));
+    }
+    return doc.items
+      .filter((i) => i && typeof i.id === "string" && i.type && !isNaN(new Date(i.time)))
+      .map((i) => ({
+        id: i.id,
+        topic: i.topic || null,
+        profileId: i.profileId || null,
+        project: i.project || null,
+        type: String(i.type),
+        title: String(i.title || ""),
+        message: String(i.message || ""),
+        time: new Date(i.time),
+        priority: 3,
+        actions: [],
+        reqId: i.reqId || null,
+        options: (Array.isArray(i.options) ? i.options : [])
+          .filter((o) => o && /^[A-Z]$/.test(o.key))
+          .map((o) => ({ key: o.key, label: String(o.label || o.key), description: String(o.description || "") })),
+        // Older exports lack it: leave it to be derived from the message
+        command: i.command === undefined ? undefined : _object(i.command),
+        edit: _object(i.edit),
+        expiresAt: i.expiresAt && !isNaN(new Date(i.expiresAt)) ? new Date(i.expiresAt) : null,
+        expired: !!i.expired || (Protocol.ACTIONABLE.includes(i.type) && !(i.answeredWith || i.replyText)),
+        answered: !!(i.answeredWith || i.replyText),
+        answeredWith: i.answeredWith || null,
+        answeredAt: i.answeredAt ? new Date(i.answeredAt) : null,
+        replyText: i.replyText || null,
+        autoRule: i.autoRule || null,
+      }));
+  }
+
+  /** Offer text as a file download. */
+  function download(filename, text, mime) {
+    const url = URL.createObjectURL(new Blob([text], { type: mime }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  return { toJSON, toCSV, parseJSON, download };
+})();
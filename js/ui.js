@@ -20,29 +20,30 @@ const UI = (() => {
   }
 
   const TYPE_META = {
-    done:       { icon: "\u2705", label: "Done",       cls: "card-done" },
-    decision:   { icon: "\u26a0\ufe0f", label: "Decision",   cls: "card-decision" },
-    approve:    { icon: "\ud83d\udd10", label: "Approve",    cls: "card-approve" },
-    permission: { icon: "\ud83d\udd12", label: "Permission", cls: "card-permission" },
-    choice:     { icon: "\ud83d\udc49", label: "Choice",     cls: "card-choice" },
+    done:       { icon: "\u2705",       cls: "card-done" },
+    decision:   { icon: "\u26a0\ufe0f", cls: "card-decision" },
+    approve:    { icon: "\ud83d\udd10", cls: "card-approve" },
+    permission: { icon: "\ud83d\udd12", cls: "card-permission" },
+    choice:     { icon: "\ud83d\udc49", cls: "card-choice" },
   };
 
+  /** Translated type name (unknown types are shown as decisions). */
+  function typeLabel(type) {
+    return I18n.t(`type.${TYPE_META[type] ? type : "decision"}`);
+  }
+
   /**
-   * Format time as HH:MM.
+   * Format time as HH:MM (current language's locale).
    */
   function fmtTime(date) {
-    return date.toLocaleTimeString("cs-CZ", { hour: "2-digit", minute: "2-digit" });
+    return I18n.fmtTime(date);
   }
 
   /**
    * Format time for history (includes date if not today).
    */
   function fmtFullTime(date) {
-    const now = new Date();
-    if (date.toDateString() === now.toDateString()) {
-      return fmtTime(date);
-    }
-    return date.toLocaleDateString("cs-CZ", { day: "numeric", month: "short" }) + " " + fmtTime(date);
+    return I18n.fmtDateTime(date);
   }
 
   /**
@@ -56,97 +57,238 @@ const UI = (() => {
   }
 
   /**
-   * Parse markdown-like bold (**text**) and newlines in message body.
+   * Render a message body as markdown (Markdown escapes everything first).
+   * Hooks sometimes send literal "\\n" sequences instead of newlines.
    */
   function renderBody(text) {
-    return esc(text)
-      .replace(/\*\*(.+?)\*\*/g, '<strong style="color:var(--text)">$1</strong>')
-      .replace(/`([^`]+)`/g, "<code>$1</code>")
-      .replace(/\\n/g, "\n");
+    return Markdown.render((text || "").replace(/\\n/g, "\n"));
   }
 
   /**
    * Build action buttons HTML for approve/permission cards.
+   * OK on a high-risk command is a hold or slide control instead of a button
+   * (Confirm wires the gesture); Deny stays a single tap.
    */
-  function buildApproveActions(notification) {
+  function buildApproveActions(notification, confirmMode) {
     const actions = notification.actions || [];
     const okAction = actions.find((a) => a.body.startsWith("OK_"));
     const nokAction = actions.find((a) => a.body.startsWith("NOK_"));
     if (!okAction) return "";
 
+    const command = Protocol.commandOf(notification);
+    const highRisk = !!command && command.risk === "high";
+    const data = `data-response="${escAttr(okAction.body)}" data-notif-id="${escAttr(notification.id)}"`;
+    const okHtml = !highRisk
+      ? `<button class="btn btn-approve" ${data}>
+          ${I18n.t("card.ok")}
+        </button>`
+      : confirmMode === "slide"
+      ? `<div class="slide-confirm" data-confirm="slide" ${data}>
+          <span class="slide-label">${I18n.t("card.slide")}</span>
+          <span class="slide-thumb" role="slider" tabindex="0" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0" aria-label="${I18n.t("card.slideAria")}">\u2714</span>
+        </div>`
+      : `<button class="btn btn-approve btn-hold" data-confirm="hold" ${data} aria-label="${I18n.t("card.hold")}">
+          ${I18n.t("card.hold")}
+        </button>`;
+
     return `
       <div class="card-actions">
-        <button class="btn btn-approve" data-response="${escAttr(okAction.body)}" data-notif-id="${escAttr(notification.id)}">
-          OK
-        </button>
+        ${okHtml}
         ${nokAction ? `<button class="btn btn-deny" data-response="${escAttr(nokAction.body)}" data-notif-id="${escAttr(notification.id)}">
-          Deny
+          ${I18n.t("card.deny")}
         </button>` : ""}
       </div>`;
   }
 
+  /** Optional comment sent along with a choice (structured reply). */
+  function buildCommentField(notification) {
+    return `
+      <input type="text" class="setting-input reply-comment" data-draft="${escAttr(notification.id)}"
+        placeholder="${I18n.t("card.comment")}" aria-label="${I18n.t("card.commentAria")}" />`;
+  }
+
+  /** Free-text reply for decision cards. */
+  function buildComposer(notification) {
+    return `
+      <div class="reply-composer">
+        <textarea class="setting-input reply-text" data-draft="${escAttr(notification.id)}" rows="2"
+          placeholder="${I18n.t("card.reply")}" aria-label="${I18n.t("card.replyAria")}"></textarea>
+        <button class="btn btn-send" data-compose="${escAttr(notification.id)}">${I18n.t("card.send")}</button>
+      </div>`;
+  }
+
   /**
    * Build choice option buttons.
-   * Parses options from message body (lines starting with **A: ...**).
+   * Descriptions come from the protocol options (legacy: "**A: ...**" lines).
    */
-  function buildChoiceActions(notification) {
+  function buildChoiceActions(notification, compose) {
     const actions = notification.actions || [];
     if (!actions.length) return "";
 
-    // Parse descriptions from message body
-    const bodyLines = notification.message.split(/\\n|\n/).filter(Boolean);
     const descMap = {};
-    for (const line of bodyLines) {
-      const match = line.replace(/\*\*/g, "").match(/^([A-Z]):\s*(.+)/);
-      if (match) descMap[match[1]] = match[2];
+    for (const o of Protocol.choiceOptions(notification)) {
+      descMap[o.key] = [o.label !== o.key ? `**${o.label}**` : "", o.description].filter(Boolean).join(" \u2014 ");
     }
 
-    let html = '<div class="card-actions" style="flex-direction:column">';
+    let html = compose ? buildCommentField(notification) : "";
+    html += '<div class="card-actions" style="flex-direction:column">';
     for (const action of actions) {
       const letter = action.label;
       const desc = descMap[letter] || "";
       html += `
         <button class="btn btn-choice" data-response="${escAttr(action.body)}" data-notif-id="${escAttr(notification.id)}">
           <span class="choice-letter">${esc(letter)}</span>
-          ${desc ? `<span class="choice-desc">${renderBody(desc)}</span>` : ""}
+          ${desc ? `<span class="choice-desc">${Markdown.inline(desc)}</span>` : ""}
         </button>`;
     }
     html += "</div>";
     return html;
   }
 
+  // Longer diffs are cut off on the card
+  const MAX_DIFF_LINES = 400;
+
+  /**
+   * Collapsible diff of a file-edit request (protocol `edit` field):
+   * per-file header with +/- counts, hunks with old/new line numbers.
+   */
+  function buildDiff(notification) {
+    const files = Diff.of(notification.edit);
+    if (!files) return "";
+    const total = Diff.summary(files);
+    const names = files.map((f) => f.newPath || f.oldPath).filter(Boolean);
+    const label = names.length === 1 ? names[0].split("/").pop() : I18n.t("card.files", { count: total.files });
+
+    let budget = MAX_DIFF_LINES;
+    let html = "";
+    for (const file of files) {
+      const path = file.oldPath && file.newPath && file.oldPath !== file.newPath
+        ? `${file.oldPath} \u2192 ${file.newPath}`
+        : file.newPath || file.oldPath || I18n.t("card.file");
+      const status = !file.oldPath && file.newPath ? " diff-new" : file.oldPath && !file.newPath ? " diff-deleted" : "";
+      html += `
+        <div class="diff-file${status}">
+          <span class="diff-path">${esc(path)}</span>
+          <span class="diff-count"><span class="diff-added">+${file.added}</span> <span class="diff-removed">\u2212${file.removed}</span></span>
+        </div>
+        <div class="diff-scroll"><div class="diff-lines">`;
+      for (const hunk of file.hunks) {
+        if (budget <= 0) break;
+        if (hunk.header) html += `<div class="diff-line diff-hunk"><span class="diff-no"></span><span class="diff-no"></span><span class="diff-text">${esc(hunk.header)}</span></div>`;
+        for (const line of hunk.lines.slice(0, budget)) {
+          const sign = { add: "+", del: "-", ctx: " " }[line.type];
+          html += `<div class="diff-line diff-${line.type}"><span class="diff-no">${line.oldNo ?? ""}</span><span class="diff-no">${line.newNo ?? ""}</span><span class="diff-text">${sign}${esc(line.text)}</span></div>`;
+        }
+        budget -= hunk.lines.length;
+      }
+      html += "</div></div>";
+      if (budget <= 0) break;
+    }
+    const lineCount = files.reduce((sum, f) => sum + f.hunks.reduce((n, h) => n + h.lines.length, 0), 0);
+    if (lineCount > MAX_DIFF_LINES) html += `<div class="diff-more">${I18n.t("card.diffTruncated")}</div>`;
+
+    return `
+      <details class="card-diff" data-diff="${escAttr(notification.id)}">
+        <summary>
+          <span class="diff-summary-label">\u270f\ufe0f ${esc(label)}</span>
+          <span class="diff-count"><span class="diff-added">+${total.added}</span> <span class="diff-removed">\u2212${total.removed}</span></span>
+        </summary>
+        ${html}
+      </details>`;
+  }
+
+  /** Accept only #rrggbb colors (value ends up in a style attribute). */
+  function safeColor(color) {
+    return /^#[0-9a-f]{6}$/i.test(color || "") ? color : "#4466ff";
+  }
+
   /**
    * Create a notification card element.
+   * @param {object} notification
+   * @param {object} [profile] — profile the message arrived on (name + color chip)
+   * @param {object} [opts] — {compose: show the comment field / decision reply composer,
+   *   confirm: "hold"|"slide" — gesture for approving high-risk commands}
    */
-  function createCard(notification) {
+  function createCard(notification, profile, opts = {}) {
     const meta = TYPE_META[notification.type] || TYPE_META.decision;
-    const isPending = !notification.answered && (
+    const expired = Protocol.isExpired(notification);
+    const isPending = !notification.answered && !notification.decryptFailed && !expired && (
       notification.type === "approve" ||
       notification.type === "permission" ||
       notification.type === "choice"
     );
 
     let actionsHtml = "";
-    if (!notification.answered) {
+    if (!notification.answered && !notification.decryptFailed && !expired) {
       if (notification.type === "approve" || notification.type === "permission") {
-        actionsHtml = buildApproveActions(notification);
+        actionsHtml = buildApproveActions(notification, opts.confirm);
       } else if (notification.type === "choice") {
-        actionsHtml = buildChoiceActions(notification);
+        actionsHtml = buildChoiceActions(notification, opts.compose);
+      } else if (notification.type === "decision" && opts.compose) {
+        actionsHtml = buildComposer(notification);
       }
     }
 
-    const statusBadge = notification.answered
-      ? `<span class="card-status-badge ${notification.answeredWith?.startsWith("OK") || /^[A-Z]_/.test(notification.answeredWith || "") ? "badge-approved" : "badge-denied"}">
-          ${notification.answeredWith?.startsWith("OK") || /^[A-Z]_/.test(notification.answeredWith || "")
-            ? "\u2705 Answered"
-            : "\u274c Denied"}
+    const statusBadge = notification.queued
+      ? `<span class="card-status-badge badge-queued" title="${I18n.t("card.queuedTitle")}">
+          \u23f3 ${I18n.t("card.queued")} \u00b7 ${esc(notification.answeredWith || "")}
          </span>`
+      : expired
+      ? `<span class="card-auto card-expired">\u231b ${I18n.t(notification.expired ? "card.expiredUnsent" : "card.expired")}</span>`
+      : notification.answered && notification.type === "decision"
+      ? `<span class="card-status-badge badge-approved">\ud83d\udcac ${I18n.t("card.replied")}</span>`
+      : notification.answered
+      ? `<span class="card-status-badge ${Protocol.isApproval(notification.answeredWith) ? "badge-approved" : "badge-denied"}">
+          ${Protocol.isApproval(notification.answeredWith)
+            ? `\u2705 ${I18n.t("card.answered")}`
+            : `\u274c ${I18n.t("card.denied")}`}
+         </span>
+         ${notification.answeredElsewhere ? `<span class="card-auto card-remote" title="${escAttr(notification.answeredBy ? I18n.t("card.elsewhereDevice", { device: notification.answeredBy }) : I18n.t("card.elsewhereOther"))}">\ud83d\udcf1 ${I18n.t("card.elsewhere")}</span>` : ""}
+         ${notification.autoRule ? `<span class="card-auto" title="${I18n.t("card.autoTitle")}">\ud83e\udd16 ${I18n.t("card.auto")} \u00b7 ${esc(notification.autoRule)}</span>` : ""}`
       : "";
 
-    const { project, cleanTitle } = parseProject(notification.title || "");
+    const parsed = parseProject(notification.title || "");
+    const project = notification.project || parsed.project;
+    const cleanTitle = parsed.cleanTitle;
 
     const projectBadge = project
-      ? `<span class="card-project">${esc(project)}</span>`
+      ? `<span class="card-project"${notification.session ? ` title="${escAttr(I18n.t("card.session", { session: notification.session }))}"` : ""}>${esc(project)}</span>`
+      : "";
+
+    // `signature` is only set for profiles with a machine key; a valid signature
+    // needs no badge, requests on profiles without a key get a neutral one
+    const unchecked = !notification.signature && !notification.decryptFailed &&
+      Protocol.ACTIONABLE.includes(notification.type);
+    const signatureBadge = {
+      unsigned: `<span class="card-sig card-sig-unsigned" title="${I18n.t("card.unsignedTitle")}">\u26a0 ${I18n.t("card.unsigned")}</span>`,
+      invalid: `<span class="card-sig card-sig-invalid" title="${I18n.t("card.badSignatureTitle")}">\u26d4 ${I18n.t("card.badSignature")}</span>`,
+      unchecked: `<span class="card-sig card-sig-unchecked" title="${I18n.t("card.uncheckedTitle")}">${I18n.t("card.unsigned")}</span>`,
+    }[unchecked ? "unchecked" : notification.signature] || "";
+
+    // Answered on a reply topic, but not by a device or machine this device knows: still pending
+    const unverified = isPending ? notification.unverifiedAnswer : null;
+    const unverifiedBadge = unverified
+      ? `<span class="card-sig card-sig-unsigned" title="${escAttr(I18n.t("card.unverifiedTitle", { answer: unverified.answeredWith || unverified.text || "", device: unverified.deviceId || I18n.t("card.unverifiedUnsigned") }))}">\u26a0 ${I18n.t("card.unverified")}</span>`
+      : "";
+
+    // Command category + risk (what auto-rules match on)
+    const command = notification.decryptFailed ? null : Protocol.commandOf(notification);
+    const riskBadge = command
+      ? `<span class="card-risk risk-${command.risk}" title="${escAttr(command.description || I18n.t("card.riskTitle"))}">${command.risk === "high" ? "\u26a0 " : ""}${esc(command.category)} \u00b7 ${esc(command.risk)}</span>`
+      : "";
+
+    // Deadline of a request still waiting for an answer
+    const expiryBadge = isPending && notification.expiresAt
+      ? `<span class="card-expiry" title="${I18n.t("card.expiryTitle")}">\u23f1 ${fmtTime(new Date(notification.expiresAt))}</span>`
+      : "";
+
+    // How long Claude has been blocked on this request (kept current by updateWaiting)
+    const waitingBadge = isPending
+      ? `<span class="card-waiting" data-since="${escAttr(new Date(notification.time).toISOString())}" title="${I18n.t("card.waitingTitle")}">\u23f3 ${Reminders.fmtWaiting(Date.now() - new Date(notification.time))}</span>`
+      : "";
+
+    const profileBadge = profile
+      ? `<span class="card-profile" style="--profile-color:${safeColor(profile.color)}">${esc(profile.name)}</span>`
       : "";
 
     const el = document.createElement("div");
@@ -156,13 +298,23 @@ const UI = (() => {
       <div class="card-header">
         <span class="card-type">
           <span class="card-type-icon">${meta.icon}</span>
-          ${meta.label}
+          ${typeLabel(notification.type)}
           ${projectBadge}
+          ${profileBadge}
+          ${signatureBadge}
+          ${unverifiedBadge}
+          ${riskBadge}
+          ${expiryBadge}
+          ${waitingBadge}
         </span>
-        <span class="card-time">${fmtTime(notification.time)}</span>
+        <span class="card-time" title="${escAttr(I18n.fmtRelative(notification.time))}">${fmtTime(notification.time)}</span>
       </div>
       ${cleanTitle ? `<div class="card-title">${esc(cleanTitle)}</div>` : ""}
-      <div class="card-body">${renderBody(notification.message)}</div>
+      ${notification.decryptFailed
+        ? `<div class="card-body card-decrypt-failed">\ud83d\udd12 ${I18n.t("card.decryptFailed")}</div>`
+        : `<div class="card-body">${renderBody(notification.message)}</div>`}
+      ${notification.decryptFailed ? "" : buildDiff(notification)}
+      ${notification.replyText ? `<div class="card-reply">\ud83d\udcac ${esc(notification.replyText)}</div>` : ""}
       ${actionsHtml}
       ${statusBadge}
     `;
@@ -170,19 +322,332 @@ const UI = (() => {
     return el;
   }
 
+  /** Refresh the waiting times on pending cards. */
+  function updateWaiting() {
+    const now = Date.now();
+    for (const el of document.querySelectorAll(".card-waiting[data-since]")) {
+      el.textContent = `\u23f3 ${Reminders.fmtWaiting(now - new Date(el.dataset.since))}`;
+    }
+  }
+
   /**
-   * Update connection status indicator.
+   * Create an editable profile row for the Settings form.
    */
-  function setStatus(status) {
+  function createProfileRow(profile) {
+    const el = document.createElement("div");
+    el.className = "profile-row";
+    el.dataset.profileId = profile.id;
+    el.innerHTML = `
+      <div class="profile-row-head">
+        <input data-field="color" type="color" class="profile-color" value="${safeColor(profile.color)}" aria-label="${I18n.t("profile.color")}" />
+        <input data-field="name" type="text" class="setting-input" value="${escAttr(profile.name)}" placeholder="${I18n.t("profile.name")}" aria-label="${I18n.t("profile.nameAria")}" />
+        <button type="button" class="btn-icon" data-remove-profile aria-label="${I18n.t("profile.remove")}">\u2715</button>
+      </div>
+      <input data-field="topic" type="text" class="setting-input setting-input-stacked" value="${escAttr(profile.topic)}" placeholder="${I18n.t("profile.topic")}" aria-label="${I18n.t("profile.topic")}" />
+      <input data-field="replyTopic" type="text" class="setting-input setting-input-stacked" value="${escAttr(profile.replyTopic)}" placeholder="${I18n.t("profile.replyTopic")}" aria-label="${I18n.t("profile.replyTopic")}" />
+      <input data-field="secret" type="password" class="setting-input setting-input-stacked" autocomplete="off" value="${escAttr(profile.secret || "")}" placeholder="${I18n.t("profile.secret")}" aria-label="${I18n.t("profile.secretAria")}" />
+      <input data-field="machineKey" type="password" class="setting-input setting-input-stacked" autocomplete="off" value="${escAttr(profile.machineKey || "")}" placeholder="${I18n.t("profile.machineKey")}" aria-label="${I18n.t("profile.machineKeyAria")}" />
+      <div class="profile-row-actions">
+        <button type="button" class="btn btn-secondary" data-generate-topics>${I18n.t("profile.generate")}</button>
+        ${profile.topic ? `<button type="button" class="btn btn-secondary" data-rotate-topics>${I18n.t("profile.rotate")}</button>` : ""}
+      </div>
+      ${Topics.inGrace(profile) ? _rotationStatus(profile) : ""}
+    `;
+    return el;
+  }
+
+  /** Rotation in progress: until when the old topics are kept, and the hooks' new env lines. */
+  function _rotationStatus(profile) {
+    return `
+      <div class="profile-rotation">
+        <p class="setting-desc">${esc(I18n.t("profile.rotating", { time: I18n.fmtDateTime(new Date(profile.previous.until)) }))}</p>
+        <code class="pair-snippet">${esc(Topics.envSnippet(profile))}</code>
+        <div class="profile-row-actions">
+          <button type="button" class="btn btn-secondary" data-copy-env data-i18n="card.copy">${I18n.t("card.copy")}</button>
+          <button type="button" class="btn btn-secondary" data-end-rotation>${I18n.t("profile.endRotation")}</button>
+        </div>
+      </div>`;
+  }
+
+  // [value, message key]
+  const RULE_TYPES = [["", "rule.anyType"], ["permission", "type.permission"], ["approve", "type.approve"], ["choice", "type.choice"]];
+  const RULE_RISKS = [["", "rule.anyRisk"], ["low", "rule.lowOnly"], ["medium", "rule.upToMedium"], ["high", "rule.upToHigh"]];
+  const RULE_ACTIONS = [["approve", "rule.sendOk"], ["deny", "rule.sendDeny"], ["choice", "rule.pickChoice"]];
+
+  function _translated(pairs) {
+    return pairs.map(([value, key]) => [value, I18n.t(key)]);
+  }
+
+  function _options(pairs, selected) {
+    return pairs
+      .map(([value, label]) => `<option value="${escAttr(value)}"${value === selected ? " selected" : ""}>${esc(label)}</option>`)
+      .join("");
+  }
+
+  /**
+   * Create an editable auto-response rule row for the Settings form.
+   */
+  function createRuleRow(rule) {
+    const categories = [["", I18n.t("rule.anyCommand")], ...Protocol.CATEGORIES.map((c) => [c, c])];
+    const el = document.createElement("div");
+    el.className = "rule-row";
+    el.dataset.ruleId = rule.id;
+    el.innerHTML = `
+      <div class="profile-row-head">
+        <input data-field="enabled" type="checkbox" class="rule-enabled" ${rule.enabled ? "checked" : ""} aria-label="${I18n.t("rule.enabled")}" />
+        <input data-field="name" type="text" class="setting-input" value="${escAttr(rule.name)}" placeholder="${I18n.t("rule.name")}" aria-label="${I18n.t("rule.nameAria")}" />
+        <button type="button" class="btn-icon" data-remove-rule aria-label="${I18n.t("rule.remove")}">\u2715</button>
+      </div>
+      <div class="rule-grid">
+        <select data-field="type" class="setting-input" aria-label="${I18n.t("rule.type")}">${_options(_translated(RULE_TYPES), rule.type || "")}</select>
+        <input data-field="project" type="text" class="setting-input" value="${escAttr(rule.project || "")}" placeholder="${I18n.t("rule.anyProject")}" aria-label="${I18n.t("rule.project")}" />
+        <select data-field="category" class="setting-input" aria-label="${I18n.t("rule.category")}">${_options(categories, rule.category || "")}</select>
+        <select data-field="maxRisk" class="setting-input" aria-label="${I18n.t("rule.risk")}">${_options(_translated(RULE_RISKS), rule.maxRisk || "")}</select>
+      </div>
+      <input data-field="pattern" type="text" class="setting-input setting-input-stacked" value="${escAttr(rule.pattern || "")}" placeholder="${I18n.t("rule.pattern")}" aria-label="${I18n.t("rule.patternAria")}" autocapitalize="off" spellcheck="false" />
+      <div class="rule-grid">
+        <select data-field="action" class="setting-input" aria-label="${I18n.t("rule.action")}">${_options(_translated(RULE_ACTIONS), rule.action || "approve")}</select>
+        <input data-field="choice" type="text" class="setting-input" value="${escAttr(rule.choice || "")}" placeholder="${I18n.t("rule.choice")}" maxlength="1" aria-label="${I18n.t("rule.choiceAria")}" />
+      </div>
+      <label class="setting-label rule-high-risk">
+        <input data-field="allowHighRisk" type="checkbox" ${rule.allowHighRisk ? "checked" : ""} />
+        ${I18n.t("rule.allowHighRisk")}
+      </label>
+    `;
+    return el;
+  }
+
+  const MUTE_TYPES = [["", "rule.anyType"], ["done", "type.done"], ["decision", "type.decision"], ...RULE_TYPES.slice(1)];
+
+  /** Editable mute row for the Settings form: silence a project, a type, or both. */
+  function createMuteRow(mute) {
+    const el = document.createElement("div");
+    el.className = "mute-row";
+    el.dataset.muteId = mute.id;
+    el.innerHTML = `
+      <input data-field="project" type="text" class="setting-input" value="${escAttr(mute.project || "")}" placeholder="${I18n.t("rule.anyProject")}" aria-label="${I18n.t("mute.project")}" />
+      <select data-field="type" class="setting-input" aria-label="${I18n.t("mute.type")}">${_options(_translated(MUTE_TYPES), mute.type || "")}</select>
+      <button type="button" class="btn-icon" data-remove-mute aria-label="${I18n.t("mute.remove")}">\u2715</button>
+    `;
+    return el;
+  }
+
+  const ALERT_TONES = [["", "alert.typeDefault"], ...Object.keys(Alerts.TONES).map((tone) => [tone, `alert.tone.${tone}`])];
+
+  /**
+   * Editable alert profile row for the Settings form: tone or uploaded clip and
+   * vibration pattern for a project, a type, or both. The clip travels in a
+   * hidden field as a data: URL.
+   */
+  function createAlertProfileRow(profile) {
+    const tones = _translated(ALERT_TONES);
+    if (profile.audio) tones.push(["clip", profile.audioName || I18n.t("alert.uploaded")]);
+    const el = document.createElement("div");
+    el.className = "rule-row alert-profile-row";
+    el.dataset.alertId = profile.id;
+    el.innerHTML = `
+      <div class="rule-grid">
+        <input data-field="project" type="text" class="setting-input" value="${escAttr(profile.project || "")}" placeholder="${I18n.t("rule.anyProject")}" aria-label="${I18n.t("rule.project")}" />
+        <select data-field="type" class="setting-input" aria-label="${I18n.t("rule.type")}">${_options(_translated(MUTE_TYPES), profile.type || "")}</select>
+        <select data-field="tone" class="setting-input" aria-label="${I18n.t("alert.sound")}">${_options(tones, profile.audio ? "clip" : profile.tone || "")}</select>
+        <input data-field="vibrate" type="text" class="setting-input" value="${escAttr((profile.vibrate || []).join(", "))}" placeholder="${I18n.t("alert.vibrate")}" inputmode="numeric" aria-label="${I18n.t("alert.vibrateAria")}" />
+      </div>
+      <input data-field="audio" type="hidden" value="${escAttr(profile.audio || "")}" />
+      <input data-field="audioName" type="hidden" value="${escAttr(profile.audioName || "")}" />
+      <div class="alert-profile-actions">
+        <label class="btn btn-secondary">
+          ${I18n.t("alert.upload")}
+          <input type="file" accept="audio/*" data-alert-file hidden />
+        </label>
+        <button type="button" class="btn btn-secondary" data-test-alert>\u25B6 ${I18n.t("alert.test")}</button>
+        <button type="button" class="btn-icon" data-remove-alert aria-label="${I18n.t("alert.remove")}">\u2715</button>
+      </div>
+    `;
+    return el;
+  }
+
+  /** What a pairing payload would set up, shown before it is applied. */
+  function renderPairSummary(payload) {
+    const login = payload.username
+      ? I18n.t("pair.login", { user: payload.username })
+      : payload.token ? I18n.t("pair.token") : "";
+    const profiles = payload.profiles.map((p) => {
+      const flags = [p.secret && `\ud83d\udd12 ${I18n.t("pair.encrypted")}`, p.machineKey && `\u270d ${I18n.t("pair.verified")}`].filter(Boolean);
+      return `
+        <li class="profile-row" style="--profile-color:${safeColor(p.color)}">
+          <span class="card-profile">${esc(p.name || p.topic)}</span>
+          <code>${esc(p.topic)}</code>${p.replyTopic ? ` \u2192 <code>${esc(p.replyTopic)}</code>` : ""}
+          ${flags.length ? `<span class="pair-flags">${flags.join(" \u00b7 ")}</span>` : ""}
+        </li>`;
+    }).join("");
+    return `
+      <p><strong>${I18n.t("pair.server")}:</strong> <code>${esc(payload.server)}</code></p>
+      ${login ? `<p class="setting-desc">${esc(login)}</p>` : ""}
+      <ul class="profile-list">${profiles}</ul>`;
+  }
+
+  /**
+   * Update connection status indicator, naming the transport while connected
+   * or connecting ("Connected \u00b7 SSE").
+   */
+  function setStatus(status, transport) {
     const dot = document.getElementById("status-dot");
     const text = document.getElementById("status-text");
     dot.className = "status-dot " + status;
-    const labels = {
-      connected: "Connected",
-      disconnected: "Disconnected",
-      reconnecting: "Reconnecting...",
-    };
-    text.textContent = labels[status] || status;
+    const via = transport && (status === "connected" || status === "reconnecting");
+    text.textContent = I18n.t(`status.${status}`) + (via ? ` \u00b7 ${I18n.t(`transport.${transport}`)}` : "");
+  }
+
+  /**
+   * Show an error banner below the header (tap to dismiss).
+   */
+  function showError(message) {
+    const banner = document.getElementById("error-banner");
+    if (!banner) return;
+    banner.textContent = message;
+    banner.classList.remove("hidden");
+  }
+
+  function clearError() {
+    const banner = document.getElementById("error-banner");
+    if (banner) banner.classList.add("hidden");
+  }
+
+  /** One row of a stats table (approved/denied/ignored + response times). */
+  function _statsRow(label, g) {
+    return `
+      <tr>
+        <th scope="row">${label}</th>
+        <td class="stat-ok">${g.approved}</td>
+        <td class="stat-no">${g.denied}</td>
+        <td class="stat-ign">${g.ignored}</td>
+        <td>${Stats.fmtDuration(g.median)}</td>
+        <td>${Stats.fmtDuration(g.p90)}</td>
+      </tr>`;
+  }
+
+  function _statsTable(title, rows) {
+    if (!rows.length) return "";
+    return `
+      <h3 class="stats-heading">${title}</h3>
+      <div class="stats-table-wrap">
+        <table class="stats-table">
+          <thead>
+            <tr><th></th><th>${I18n.t("stats.ok")}</th><th>${I18n.t("stats.deny")}</th><th>${I18n.t("stats.ignored")}</th><th>${I18n.t("stats.median")}</th><th>${I18n.t("stats.p90")}</th></tr>
+          </thead>
+          <tbody>${rows.join("")}</tbody>
+        </table>
+      </div>`;
+  }
+
+  /** Horizontal-axis bar chart; `bars` = [{label, value}]. */
+  function _barChart(bars, cls) {
+    const max = Math.max(1, ...bars.map((b) => b.value));
+    return `
+      <div class="bar-chart ${cls}">
+        ${bars.map((b) => `
+          <div class="bar" title="${escAttr(`${b.label}: ${b.value}`)}">
+            <span class="bar-fill" style="height:${Math.round((b.value / max) * 100)}%"></span>
+            <span class="bar-label">${esc(b.label)}</span>
+          </div>`).join("")}
+      </div>`;
+  }
+
+  /**
+   * Render the Stats view from Stats.compute() output.
+   */
+  function renderStats(stats) {
+    const o = stats.overall;
+    const tiles = [
+      { label: I18n.t("stats.approved"), value: o.approved, cls: "stat-ok" },
+      { label: I18n.t("stats.denied"), value: o.denied, cls: "stat-no" },
+      { label: I18n.t("stats.ignored"), value: o.ignored, cls: "stat-ign" },
+      { label: I18n.t("stats.pending"), value: o.pending, cls: "" },
+      { label: I18n.t("stats.medianReply"), value: Stats.fmtDuration(o.median), cls: "" },
+      { label: I18n.t("stats.p90Reply"), value: Stats.fmtDuration(o.p90), cls: "" },
+      { label: I18n.t("stats.notifications"), value: o.total, cls: "" },
+    ];
+    const hourBars = stats.hours.map((value, h) => ({ label: h % 6 === 0 ? String(h) : "", value }));
+
+    return `
+      <div class="stats-tiles">
+        ${tiles.map((t) => `
+          <div class="stats-tile">
+            <span class="stats-value ${t.cls}">${esc(String(t.value))}</span>
+            <span class="stats-label">${t.label}</span>
+          </div>`).join("")}
+      </div>
+      ${_statsTable(I18n.t("stats.byProject"), stats.byProject.map(([name, g]) => _statsRow(esc(name), g)))}
+      ${_statsTable(I18n.t("stats.byType"), stats.byType.map(([type, g]) => {
+        const meta = TYPE_META[type] || TYPE_META.decision;
+        return _statsRow(`${meta.icon} ${typeLabel(type)}`, g);
+      }))}
+      <h3 class="stats-heading">${I18n.t("stats.busiestHours")}</h3>
+      ${_barChart(hourBars, "bar-chart-hours")}
+      ${stats.choices.length ? `
+        <h3 class="stats-heading">${I18n.t("stats.choices")}</h3>
+        ${_barChart(stats.choices.map(([letter, value]) => ({ label: `${letter} (${value})`, value })), "bar-chart-choices")}
+      ` : ""}`;
+  }
+
+  // ── Diagnostics ──
+
+  function _diagRows(rows) {
+    return `<dl class="diag-list">${rows.map(([label, value]) => `<dt>${label}</dt><dd>${esc(String(value))}</dd>`).join("")}</dl>`;
+  }
+
+  /** "5 seconds ago", or "never". */
+  function _ago(date) {
+    return date ? I18n.fmtRelative(date) : I18n.t("diag.never");
+  }
+
+  /**
+   * Diagnostics screen content.
+   * @param {object} conn — Ntfy.diagnostics()
+   * @param {object} push — Push.status()
+   * @param {{time: number, event: string}|null} lastPush — recorded by the service worker
+   */
+  function renderDiagnostics(conn, push, lastPush) {
+    const none = "\u2014";
+    const f = conn.lastFetch;
+    const connection = [
+      [I18n.t("diag.transport"), I18n.t(`transport.${conn.transport}`) + (conn.readyState ? ` (${conn.readyState})` : "")],
+      [I18n.t("diag.status"), I18n.t(`status.${conn.status}`)],
+      [I18n.t("diag.server"), conn.server],
+      [I18n.t("diag.topics"), I18n.t("diag.topicCount", { topics: conn.topics.length, replies: conn.replyTopics.length })],
+      [I18n.t("diag.connects"), conn.connects],
+      [I18n.t("diag.reconnects"), conn.reconnects],
+      [I18n.t("diag.backoff"), I18n.fmtUnit(conn.reconnectDelay / 1000, "second")],
+      [I18n.t("diag.nextRetry"), conn.nextRetryAt && conn.nextRetryAt > Date.now() ? I18n.fmtRelative(conn.nextRetryAt) : none],
+      [I18n.t("diag.openedAt"), conn.openedAt ? I18n.fmtDateTime(conn.openedAt) : none],
+      [I18n.t("diag.lastKeepalive"), _ago(conn.lastKeepalive)],
+      [I18n.t("diag.lastMessage"), _ago(conn.lastMessage)],
+      [I18n.t("diag.watchdog"), conn.watchdogFires],
+      [I18n.t("diag.lastFetch"), !f ? I18n.t("diag.never") : f.status
+        ? I18n.t("diag.fetchResult", { time: _ago(f.time), status: f.status, count: f.count })
+        : I18n.t("diag.fetchFailed", { time: _ago(f.time) })],
+      [I18n.t("diag.lastClose"), conn.lastClose ? I18n.t("diag.closeCode", { time: _ago(conn.lastClose.time), code: conn.lastClose.code }) : none],
+      [I18n.t("diag.since"), conn.lastSince ? `${I18n.fmtDateTime(conn.lastSince)} (${conn.lastSince.getTime() / 1000})` : none],
+    ];
+    const pushRows = push.supported ? [
+      [I18n.t("diag.permission"), push.permission],
+      [I18n.t("diag.subscription"), push.endpoint || I18n.t("diag.notSubscribed")],
+      [I18n.t("diag.expires"), !push.endpoint ? none : push.expirationTime ? I18n.fmtDateTime(push.expirationTime) : I18n.t("diag.noExpiry")],
+      [I18n.t("diag.lastPush"), lastPush ? `${_ago(lastPush.time)} (${lastPush.event})` : I18n.t("diag.never")],
+    ] : [[I18n.t("diag.subscription"), I18n.t("diag.pushUnsupported")]];
+    const errors = conn.errors.map((e) => `
+      <li>
+        <span class="diag-error-meta">${esc(I18n.fmtTime(e.time))} \u00b7 ${I18n.t(`diag.source.${e.source}`)}${e.status ? ` \u00b7 HTTP ${e.status}` : ""}</span>
+        ${esc(e.message)}
+      </li>`).join("");
+
+    return `
+      <h3 class="stats-heading">${I18n.t("diag.connection")}</h3>
+      ${_diagRows(connection)}
+      <h3 class="stats-heading">${I18n.t("diag.push")}</h3>
+      ${_diagRows(pushRows)}
+      <h3 class="stats-heading">${I18n.t("diag.errors")}</h3>
+      ${errors ? `<ul class="diag-errors">${errors}</ul>` : `<p class="setting-desc">${I18n.t("diag.noErrors")}</p>`}`;
   }
 
   /**
@@ -195,5 +660,5 @@ const UI = (() => {
     }
   }
 
-  return { createCard, setStatus, updateEmptyState, fmtFullTime, renderBody };
+  return { createCard, updateWaiting, createProfileRow, createRuleRow, createMuteRow, createAlertProfileRow, renderPairSummary, renderStats, renderDiagnostics, setStatus, showError, clearError, updateEmptyState, fmtFullTime, renderBody };
 })();
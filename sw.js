@@ -1,13 +1,38 @@
 "use strict";
 
-const CACHE_NAME = "claude-mobile-v5";
+// Shared with the app: message catalog, IndexedDB config/history, message protocol,
+// E2E decryption, reply signing, topic rotation, reply publishing and outbox, reminder steps, quiet hours/mutes
+importScripts(
+  "./js/i18n.js", "./js/db.js", "./js/protocol.js", "./js/store.js", "./js/crypto.js", "./js/sign.js", "./js/topics.js",
+  "./js/ntfy.js", "./js/outbox.js", "./js/reminders.js", "./js/alerts.js"
+);
+
+const CACHE_NAME = "claude-mobile-v50";
 const STATIC_ASSETS = [
   "./",
   "./index.html",
   "./css/style.css",
+  "./js/alerts.js",
   "./js/app.js",
+  "./js/confirm.js",
+  "./js/crypto.js",
+  "./js/diff.js",
+  "./js/db.js",
+  "./js/i18n.js",
+  "./js/markdown.js",
   "./js/ntfy.js",
+  "./js/outbox.js",
+  "./js/pair.js",
+  "./js/protocol.js",
   "./js/push.js",
+  "./js/qr.js",
+  "./js/reminders.js",
+  "./js/rules.js",
+  "./js/sign.js",
+  "./js/stats.js",
+  "./js/store.js",
+  "./js/topics.js",
+  "./js/transfer.js",
   "./js/ui.js",
   "./manifest.json",
 ];
@@ -33,8 +58,9 @@ self.addEventListener("activate", (e) => {
 self.addEventListener("fetch", (e) => {
   const url = new URL(e.request.url);
 
-  // Network-first for ntfy.sh (real-time data)
-  if (url.hostname === "ntfy.sh") {
+  // Network-first for the ntfy server (real-time data) — any cross-origin
+  // request, since the server URL is configurable (ntfy.sh or self-hosted)
+  if (url.origin !== self.location.origin) {
     e.respondWith(fetch(e.request));
     return;
   }
@@ -49,60 +75,138 @@ self.addEventListener("fetch", (e) => {
 
 // ── Web Push ──
 
+/** App config mirrored to IndexedDB by the app (server, profiles); also switches to the app's language. */
+async function loadConfig() {
+  const config = (await DB.get("kv", "config").catch(() => null)) || {};
+  I18n.setLanguage(config.language);
+  return config;
+}
+
+/**
+ * Reply buttons and click data of an actionable request.
+ * High-risk commands are only approved in the app, behind the hold/slide gesture;
+ * requests whose machine signature didn't verify, or that expired, get no buttons.
+ * @param {object} record — history record of the request
+ */
+function requestActions(record) {
+  const highRisk = record.command && record.command.risk === "high";
+  const trusted = record.signature !== "invalid" && record.signature !== "unsigned" && !Protocol.isExpired(record);
+  const all = trusted ? (record.actions || []).filter((a) => !(highRisk && a.body.startsWith("OK_"))) : [];
+  // As many as the platform shows
+  const replies = all.slice(0, Notification.maxActions || 2);
+  return {
+    actions: replies.map((a, i) => ({ action: String(i), title: a.label })),
+    data: {
+      url: self.registration.scope,
+      id: record.id,
+      topic: record.topic,
+      replies: replies.map((a) => a.body),
+      // Full history record, stored if the app never saw the message
+      record,
+    },
+  };
+}
+
+/**
+ * Build title + options for a push payload.
+ * @returns {Promise<{title: string, options: object}|null>} — null for non-message events
+ */
+async function buildNotification(payload) {
+  let title = "Claude Mobile";
+  let body = "";
+  let tag = "claude-push";
+  let requireInteraction = false;
+  let actions = [];
+  let data = { url: self.registration.scope };
+  let alert = { vibrate: true, silenced: null };
+  let pattern = [200, 100, 200];
+
+  const config = await loadConfig();
+
+  // Handle subscription expiry warning
+  if (payload.event === "subscription_expiring") {
+    title = I18n.t("sw.expiringTitle");
+    body = I18n.t("sw.expiringBody");
+    tag = "push-expiry";
+  } else {
+    // Normal message payload
+    const raw = payload.message || payload;
+    if (!raw || (raw.event && raw.event !== "message")) return null;
+    // Test message from the diagnostics screen, which is open in the foreground
+    if (Ntfy.isPing(raw)) return null;
+
+    const { msg, failed } = await Ntfy.decryptMessage(raw, Topics.secretsOf(config.profiles)[raw.topic]);
+    const request = Protocol.parse(msg);
+
+    title = request.title || "Claude Mobile";
+    body = failed ? `\ud83d\udd12 ${I18n.t("sw.encrypted")}` : request.message;
+    tag = msg.id || "claude-push";
+    // Quiet hours / mutes: still shown, but without sound or vibration
+    alert = Alerts.decide(config.alerts, { ...request, priority: msg.priority || 3 });
+    pattern = Alerts.profileFor(config.alerts && config.alerts.profiles, request).vibrate;
+    // Require interaction for actionable types (approve/choice/permission)
+    requireInteraction = Protocol.ACTIONABLE.includes(request.type);
+    if (requireInteraction && !failed) {
+      // Reply buttons straight in the notification, checked like the app does
+      const profile = (config.profiles || []).find((p) => Topics.matches(p, msg.topic));
+      const machineKey = profile && profile.machineKey;
+      const signature = machineKey ? await Sign.verifyRequest(msg, request.reqId, machineKey) : null;
+      ({ actions, data } = requestActions({
+        id: msg.id,
+        topic: msg.topic,
+        profileId: profile ? profile.id : null,
+        ...request,
+        time: msg.time ? new Date(msg.time * 1000) : new Date(),
+        priority: msg.priority || 3,
+        answered: false,
+        answeredWith: null,
+        signature,
+      }));
+    }
+  }
+
+  return {
+    title,
+    options: {
+      body,
+      icon: "./icons/icon-192.png",
+      badge: "./icons/icon-192.png",
+      tag,
+      requireInteraction,
+      silent: !!alert.silenced,
+      // A silent notification with any vibrate pattern (even []) is a TypeError
+      ...(alert.vibrate && !alert.silenced ? { vibrate: pattern } : {}),
+      actions,
+      data,
+    },
+  };
+}
+
 self.addEventListener("push", (e) => {
   if (!e.data) {
     e.waitUntil(
-      self.registration.showNotification("Claude Mobile", {
-        body: "New update available",
+      loadConfig().then(() => self.registration.showNotification("Claude Mobile", {
+        body: I18n.t("sw.update"),
         icon: "./icons/icon-192.png",
         tag: "generic-push",
-      })
+      }))
     );
     return;
   }
 
-  let title = "Claude Mobile";
-  let body = "";
-  let tag = "claude-push";
-  let requireInteraction = false;
-
+  let payload;
   try {
-    const payload = e.data.json();
-
-    // Handle subscription expiry warning
-    if (payload.event === "subscription_expiring") {
-      title = "Claude Mobile — Push expiruje";
-      body = "Obnov Web Push v nastavení aplikace.";
-      tag = "push-expiry";
-    } else {
-      // Normal message payload
-      const msg = payload.message || payload;
-      if (!msg || (msg.event && msg.event !== "message")) return;
-
-      title = msg.title || "Claude Mobile";
-      body = msg.message || "";
-      tag = msg.id || "claude-push";
-      // Require interaction for actionable types (approve/choice/permission)
-      const tags = msg.tags || [];
-      requireInteraction =
-        tags.includes("question") ||
-        tags.includes("lock") ||
-        tags.includes("point_right");
-    }
+    payload = e.data.json();
   } catch {
-    body = e.data.text();
+    payload = { message: { event: "message", message: e.data.text() } };
   }
 
   e.waitUntil(
     Promise.all([
-      self.registration.showNotification(title, {
-        body,
-        icon: "./icons/icon-192.png",
-        badge: "./icons/icon-192.png",
-        tag,
-        requireInteraction,
-        vibrate: [200, 100, 200],
-        data: { url: self.registration.scope },
+      // For the app's diagnostics screen
+      DB.put("kv", { time: Date.now(), event: payload.event || "message" }, "lastPush").catch(() => {}),
+      buildNotification(payload).then((n) => {
+        if (n) return self.registration.showNotification(n.title, n.options);
       }),
       // Wake up any open client windows so they reconnect and fetch messages
       clients.matchAll({ type: "window" }).then((list) => {
@@ -114,18 +218,132 @@ self.addEventListener("push", (e) => {
   );
 });
 
+// ── Reminders ──
+
+/**
+ * Re-show the notification of a request the app says is still unanswered,
+ * at the urgency of the reminder step.
+ */
+async function showReminder({ id, step }) {
+  const record = await Store.get(id).catch(() => null);
+  if (!record || record.answered || Protocol.isExpired(record)) return;
+  const { repeat, requireInteraction } = Reminders.step(step);
+  const { alerts } = await loadConfig();
+  const alert = Alerts.decide(alerts, record);
+  const vibrate = Alerts.repeatPattern(Alerts.profileFor(alerts && alerts.profiles, record).vibrate, repeat);
+  const { actions, data } = requestActions(record);
+  const waiting = Reminders.fmtWaiting(Date.now() - new Date(record.time));
+  return self.registration.showNotification(`\u23f0 ${record.title || "Claude Mobile"}`, {
+    body: `${I18n.t("sw.waiting", { time: waiting })}\n${record.message || ""}`,
+    icon: "./icons/icon-192.png",
+    badge: "./icons/icon-192.png",
+    tag: id,
+    renotify: !alert.silenced,
+    requireInteraction,
+    silent: !!alert.silenced,
+    ...(alert.vibrate && !alert.silenced ? { vibrate } : {}),
+    actions,
+    data,
+  });
+}
+
+self.addEventListener("message", (e) => {
+  if (e.data && e.data.type === "remind") e.waitUntil(showReminder(e.data));
+});
+
+/** Focus an open app window, or open a new one. */
+function focusApp() {
+  return clients
+    .matchAll({ type: "window", includeUncontrolled: true })
+    .then((list) => {
+      for (const client of list) {
+        if (client.url.startsWith(self.registration.scope) && "focus" in client) {
+          return client.focus();
+        }
+      }
+      return clients.openWindow(self.registration.scope);
+    });
+}
+
+/** Tell open app windows something changed in history. */
+async function notifyClients(message) {
+  const list = await clients.matchAll({ type: "window" });
+  for (const client of list) client.postMessage(message);
+}
+
+/**
+ * Publish a reply chosen in a notification action to the reply topic of the
+ * profile the request came from, then record it in history so the app shows
+ * it answered.
+ * If sending fails, queue it in the outbox for Background Sync; without Background
+ * Sync (or a profile) re-show the notification so the tap isn't lost.
+ */
+async function replyFromNotification(notification, reply) {
+  const { id, topic } = notification.data;
+  const config = await loadConfig();
+  const profile = (config.profiles || []).find((p) => Topics.matches(p, topic));
+  // During a rotation, requests from the old topic are answered on the old reply topic
+  const replyTopic = profile && Topics.replyTopicFor(profile, topic);
+
+  let ok = false;
+  if (replyTopic) {
+    Ntfy.configure({ server: config.server, secrets: Topics.secretsOf(config.profiles), device: config.device });
+    ok = await Ntfy.respond(reply, replyTopic);
+  }
+
+  const patch = { answered: true, answeredWith: reply, answeredAt: new Date() };
+  if (!ok) {
+    if (replyTopic && self.registration.sync) {
+      try {
+        await recordAnswer(notification, { ...patch, queued: true });
+        await Outbox.add({ id, body: reply, replyTopic });
+        await self.registration.sync.register(Outbox.SYNC_TAG);
+        return notifyClients({ type: "outbox", id });
+      } catch { /* fall through to the manual fallback */ }
+    }
+    return self.registration.showNotification(notification.title, {
+      body: I18n.t("sw.replyFailed"),
+      icon: "./icons/icon-192.png",
+      badge: "./icons/icon-192.png",
+      tag: id,
+      requireInteraction: true,
+      data: { url: self.registration.scope },
+    });
+  }
+
+  try {
+    await recordAnswer(notification, patch);
+  } catch { /* history unavailable — the app still gets the message below */ }
+  return notifyClients({ type: "answered", id, answeredWith: reply, answeredAt: patch.answeredAt });
+}
+
+/** Apply an answer to the stored record, storing the request if the app never saw it. */
+async function recordAnswer(notification, patch) {
+  const { id } = notification.data;
+  const updated = await Store.update(id, patch);
+  if (!updated) {
+    await Store.put({ ...notification.data.record, ...patch });
+    await Store.markSeen(id);
+  }
+}
+
+// ── Background Sync ──
+
+/** Send queued replies; rejecting makes the browser retry the sync later. */
+async function flushOutbox() {
+  const config = await loadConfig();
+  Ntfy.configure({ server: config.server, secrets: Topics.secretsOf(config.profiles), device: config.device });
+  const remaining = await Outbox.flush((outcome, id) => notifyClients({ type: "outbox", id, outcome }));
+  if (remaining) throw new Error(`${remaining} replies still queued`);
+}
+
+self.addEventListener("sync", (e) => {
+  if (e.tag === Outbox.SYNC_TAG) e.waitUntil(flushOutbox());
+});
+
 self.addEventListener("notificationclick", (e) => {
   e.notification.close();
-  e.waitUntil(
-    clients
-      .matchAll({ type: "window", includeUncontrolled: true })
-      .then((list) => {
-        for (const client of list) {
-          if (client.url.startsWith(self.registration.scope) && "focus" in client) {
-            return client.focus();
-          }
-        }
-        return clients.openWindow(self.registration.scope);
-      })
-  );
+  const replies = (e.notification.data && e.notification.data.replies) || [];
+  const reply = e.action ? replies[Number(e.action)] : null;
+  e.waitUntil(reply ? replyFromNotification(e.notification, reply) : focusApp());
 });